@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+const Cli = require('../lib/Cli')
+
+const cli = new Cli()
+// listen and monitor run until stopped, other commands are just interrupted
+process.once('SIGINT', () => {
+  if (!cli.stop()) {
+    process.exit(130)
+  }
+})
+cli.run(process.argv.slice(2)).then((code) => { process.exitCode = code })
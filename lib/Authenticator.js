@@ -0,0 +1,140 @@
+const crypto = require('crypto')
+const Utils = require('./Utils')
+
+/**
+ * Authenticates frames with an HMAC (SHA-256) computed with a pre-shared key.
+ * The payload of authenticated frames is wrapped: 8b nonce | 4b sender id | payload | 32b HMAC. The HMAC covers the
+ * header (without start sequence and checksum), the nonce, the sender id and the payload. Nonces increase
+ * monotonically, so replayed frames are rejected. Sender ids are random per instance, so frames reflected back to
+ * their sender are rejected as well. They are based on the time (µs since epoch), so they keep increasing if the sending side restarts. If a
+ * window is set, frames sent outside of it around the local time are rejected, so frames recorded earlier can't be
+ * replayed after the receiving side restarts either. That requires synchronized clocks though. Without a window, a
+ * restarted receiver accepts recorded frames once more, until it has verified a newer one.
+ */
+class Authenticator {
+  /**
+   * @param {Buffer|string} key - pre-shared key
+   * @param {number} [window] - max difference in ms between the time a received frame was sent and the local time
+   * (default: Infinity, i.e. no window)
+   */
+  constructor (key, window = Infinity) {
+    this._key = key
+
+    /**
+     * Random id of this side, sent with each frame
+     * @type {number}
+     */
+    this.id = crypto.randomBytes(Authenticator.SENDER_ID_SIZE).readUInt32BE(0)
+
+    /** @type {number} */
+    this.window = window
+
+    /**
+     * Nonce of the last authenticated frame
+     * @type {number}
+     * @private
+     */
+    this._lastSentNonce = 0
+
+    /**
+     * Nonce of the last verified frame
+     * @type {number}
+     * @private
+     */
+    this._lastReceivedNonce = 0
+  }
+
+  /**
+   * Size of the nonce preceding the payload in bytes
+   * @returns {number}
+   * @constructor
+   */
+  static get NONCE_SIZE () {
+    return 8
+  }
+
+  /**
+   * Size of the sender id following the nonce in bytes
+   * @returns {number}
+   * @constructor
+   */
+  static get SENDER_ID_SIZE () {
+    return 4
+  }
+
+  /**
+   * Size of the HMAC following the payload in bytes
+   * @returns {number}
+   * @constructor
+   */
+  static get MAC_SIZE () {
+    return 32
+  }
+
+  /**
+   * Number of bytes authentication adds to the payload: nonce, sender id and HMAC
+   * @returns {number}
+   * @constructor
+   */
+  static get OVERHEAD () {
+    return Authenticator.NONCE_SIZE + Authenticator.SENDER_ID_SIZE + Authenticator.MAC_SIZE
+  }
+
+  /**
+   * Returns the nonce for the next frame, which is greater than all previous ones
+   * @returns {number}
+   */
+  nextNonce () {
+    this._lastSentNonce = Math.max(this._lastSentNonce + 1, Date.now() * 1000)
+    return this._lastSentNonce
+  }
+
+  /**
+   * Computes the HMAC of a raw frame
+   * @param {Buffer} raw - raw frame, i.e. start sequence starts at index 0
+   * @param {number} end - end of the nonce and payload within the frame, i.e. offset of the HMAC
+   * @returns {Buffer}
+   */
+  mac (raw, end) {
+    return crypto.createHmac('sha256', this._key)
+      .update(raw.slice(Utils.START_SEQUENCE.length, Utils.CHECKSUM_OFFSET))
+      .update(raw.slice(Utils.HEADER_SIZE, end))
+      .digest()
+  }
+
+  /**
+   * Verifies a received message. Throws an error with code UNAUTHENTICATED, INVALID_MAC, REFLECTED_FRAME, STALE_FRAME
+   * or REPLAYED_FRAME, if it's not authenticated, its HMAC doesn't match, it was sent by this side, it was sent outside
+   * of the window around the local time or its nonce isn't greater than the one of the last verified message.
+   * @param {Message} msg
+   */
+  verify (msg) {
+    if (!msg.authenticated) {
+      throw Object.assign(new Error('Message is not authenticated'), { code: 'UNAUTHENTICATED' })
+    }
+
+    const end = msg.raw.length - Authenticator.MAC_SIZE
+    if (end < Utils.HEADER_SIZE + Authenticator.NONCE_SIZE + Authenticator.SENDER_ID_SIZE ||
+      !crypto.timingSafeEqual(msg.raw.slice(end), this.mac(msg.raw, end))) {
+      throw Object.assign(new Error('Message authentication code does not match'), { code: 'INVALID_MAC' })
+    }
+
+    if (msg.sender === this.id) {
+      throw Object.assign(new Error('Message was sent by this side'), { code: 'REFLECTED_FRAME', nonce: msg.nonce })
+    }
+
+    const age = Date.now() - msg.nonce / 1000
+    if (Math.abs(age) > this.window) {
+      throw Object.assign(new Error(`Stale message, sent ${Math.round(age)}ms ago, outside of the window of ${this.window}ms`),
+        { code: 'STALE_FRAME', nonce: msg.nonce })
+    }
+
+    if (msg.nonce <= this._lastReceivedNonce) {
+      throw Object.assign(new Error(`Replayed message, nonce ${msg.nonce} is not greater than ${this._lastReceivedNonce}`),
+        { code: 'REPLAYED_FRAME', nonce: msg.nonce })
+    }
+    this._lastReceivedNonce = msg.nonce
+  }
+}
+
+module.exports = Authenticator
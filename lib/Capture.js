@@ -0,0 +1,147 @@
+const fs = require('fs')
+const { promisify } = require('util')
+
+const readFile = promisify(fs.readFile)
+
+/**
+ * Raw chunk of a capture
+ *
+ * @typedef {Object} CaptureEntry
+ * @property {number} time - time (ms since epoch) the chunk was read from or written to the port
+ * @property {string} direction - 'in' for read, 'out' for written chunks
+ * @property {Buffer} data
+ */
+
+/**
+ * Records raw chunks read from and written to a port, one JSON object per line:
+ * {"t": <ms since epoch>, "dir": "in"|"out", "data": <base64>}. Unlike debug logs, nothing is truncated, so
+ * captures can be replayed (see Capture.replay() and ReplayTransport).
+ */
+class Capture {
+  /**
+   * @param {Writable} writable - stream the capture is written to
+   * @param {function(Error)} [onError] - called if writing the capture fails, nothing is recorded afterwards
+   */
+  constructor (writable, onError) {
+    /** @type {Writable} */
+    this.writable = writable
+
+    /**
+     * Error writing the capture failed with
+     * @type {Error|undefined}
+     */
+    this.error = undefined
+
+    writable.on('error', (err) => {
+      if (this.error === undefined) {
+        this.error = err
+        if (onError) {
+          onError(err)
+        }
+      }
+    })
+  }
+
+  /**
+   * Creates a capture writing to a file, once the file has been opened. Existing files are appended to.
+   * @param {string} path
+   * @param {function(Error)} [onError] - called if writing the capture fails later on
+   * @returns {Promise<Capture>} rejects if the file can't be opened
+   */
+  static toFile (path, onError) {
+    return new Promise((resolve, reject) => {
+      const writable = fs.createWriteStream(path, { flags: 'a' })
+      writable.once('error', reject)
+      writable.once('open', () => {
+        writable.removeListener('error', reject)
+        resolve(new Capture(writable, onError))
+      })
+    })
+  }
+
+  /**
+   * Records a chunk, unless writing the capture has failed
+   * @param {string} direction - 'in' or 'out'
+   * @param {Buffer} data
+   */
+  record (direction, data) {
+    if (this.error === undefined) {
+      this.writable.write(JSON.stringify({ t: Date.now(), dir: direction, data: data.toString('base64') }) + '\n')
+    }
+  }
+
+  /**
+   * Ends the capture stream
+   * @returns {Promise<void>} resolves once everything has been written, rejects if writing the capture has failed
+   */
+  close () {
+    return new Promise((resolve, reject) => {
+      if (this.error !== undefined) {
+        return reject(this.error)
+      }
+
+      this.writable.once('error', reject)
+      this.writable.end(() => resolve())
+    })
+  }
+
+  /**
+   * Parses a capture. Throws an error with code INVALID_CAPTURE on lines that aren't capture entries.
+   * @param {string} text - content of a capture file
+   * @returns {CaptureEntry[]}
+   */
+  static parse (text) {
+    return text.split('\n').filter(line => line.trim() !== '').map((line, i) => {
+      let entry
+      try {
+        entry = JSON.parse(line)
+      } catch (e) {
+        entry = undefined
+      }
+
+      if (!entry || typeof entry.t !== 'number' || (entry.dir !== 'in' && entry.dir !== 'out') || typeof entry.data !== 'string') {
+        throw Object.assign(new Error(`Line ${i + 1} is not a capture entry`), { code: 'INVALID_CAPTURE' })
+      }
+      return { time: entry.t, direction: entry.dir, data: Buffer.from(entry.data, 'base64') }
+    })
+  }
+
+  /**
+   * Reads a capture file
+   * @param {string} path
+   * @returns {Promise<CaptureEntry[]>}
+   */
+  static async load (path) {
+    return Capture.parse(await readFile(path, 'utf8'))
+  }
+
+  /**
+   * Feeds the chunks of a capture of one or both directions to a function, e.g. DataParser.parseData(), with the
+   * original timing or as fast as possible.
+   * @param {CaptureEntry[]} entries
+   * @param {function(Buffer, CaptureEntry): (boolean|void)} onChunk - stops the replay by returning false
+   * @param {Object} [options]
+   * @param {string|null} [options.direction] - direction of the replayed chunks, null for both (default: 'in')
+   * @param {boolean} [options.realtime] - whether the original time between chunks is kept (default: true)
+   * @param {number} [options.speed] - speeds up (> 1) or slows down (< 1) realtime replays (default: 1)
+   * @returns {Promise<number>} resolves with the number of replayed chunks
+   */
+  static async replay (entries, onChunk, { direction = 'in', realtime = true, speed = 1 } = {}) {
+    let replayed = 0
+    let previous
+    for (const entry of entries.filter(e => direction === null || e.direction === direction)) {
+      const delay = previous && realtime ? (entry.time - previous.time) / speed : 0
+      await new Promise(resolve => delay > 0 ? setTimeout(resolve, delay) : setImmediate(resolve))
+      previous = entry
+
+      if (onChunk(entry.data, entry) === false) {
+        break
+      }
+      replayed++
+    }
+
+    return replayed
+  }
+}
+
+module.exports = Capture
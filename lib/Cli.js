@@ -0,0 +1,311 @@
+const path = require('path')
+const zlib = require('zlib')
+const SerialPort = require('serialport')
+const SerialIO = require('./SerialIO')
+const DataParser = require('./DataParser')
+const Capture = require('./Capture')
+const Codecs = require('./Codecs')
+const Utils = require('./Utils')
+const Options = require('./Options')
+
+const usage = `Usage: serialio <command> [options]
+
+Commands:
+  list                          list serial ports
+  request <port> <body>         send a request (JSON or string body) and print the reply
+  listen <port>                 answer requests, with --reply <body> or --handler <module>
+  monitor <port>                decode and print the frames received on a port
+  monitor --capture <file>      decode and print the frames of a capture file
+
+Options:
+  --baud-rate <n>               baud rate of the port (default: 9600)
+  --timeout <ms>                reply timeout of requests (default: 5000)
+  --codec <name>                codec of sent bodies, e.g. json or string (default: text)
+  --reply <body>                fixed reply of listen (JSON or string)
+  --handler <module>            module exporting a (sync or async) message handler, for listen
+  --realtime                    replay captures with their original timing, for monitor
+`
+
+/**
+ * Names of the message types, by message type
+ * @type {Map<number, string>}
+ */
+const typeNames = new Map(Object.keys(SerialIO.MESSAGE_TYPE).map(name => [SerialIO.MESSAGE_TYPE[name], name]))
+
+/**
+ * Parses a body given on the command line: JSON if possible, string otherwise
+ * @param {string} text
+ * @returns {*}
+ */
+const parseBody = (text) => {
+  try {
+    return JSON.parse(text)
+  } catch (e) {
+    return text
+  }
+}
+
+/**
+ * Formats a body for printing: pretty-printed JSON for objects, hex for buffers
+ * @param {*} body
+ * @returns {string}
+ */
+const formatBody = (body) => {
+  if (Buffer.isBuffer(body)) {
+    return body.toString('hex')
+  }
+
+  return typeof body === 'string' ? body : JSON.stringify(body, null, 2)
+}
+
+/**
+ * Command line interface, see bin/serialio.js. Commands print to the given streams and resolve with the exit code:
+ * 0 on success, 1 on failure and 2 on invalid usage.
+ */
+class Cli {
+  /**
+   * @param {Object} [streams]
+   * @param {Writable} [streams.stdout] - (default: process.stdout)
+   * @param {Writable} [streams.stderr] - (default: process.stderr)
+   */
+  constructor ({ stdout = process.stdout, stderr = process.stderr } = {}) {
+    this.stdout = stdout
+    this.stderr = stderr
+
+    /**
+     * Stops the running listen or monitor command, undefined while none is running
+     * @type {function(): void|undefined}
+     * @private
+     */
+    this._stop = undefined
+  }
+
+  /**
+   * Splits command line arguments into positional arguments and options. Options are --name value pairs, or
+   * --name flags if they're followed by another option or nothing. Names are camel cased (--baud-rate: baudRate).
+   * @param {string[]} argv - arguments without node and script path
+   * @returns {{args: string[], options: Object<string, string|boolean>}}
+   */
+  static parseArgs (argv) {
+    const args = []
+    const options = {}
+    for (let i = 0; i < argv.length; i++) {
+      if (argv[i].startsWith('--')) {
+        const name = argv[i].slice(2).replace(/-([a-z])/g, (match, c) => c.toUpperCase())
+        const hasValue = i + 1 < argv.length && !argv[i + 1].startsWith('--')
+        options[name] = hasValue ? argv[++i] : true
+      } else {
+        args.push(argv[i])
+      }
+    }
+
+    return { args, options }
+  }
+
+  /**
+   * Runs a command
+   * @param {string[]} argv - arguments without node and script path
+   * @returns {Promise<number>} exit code
+   */
+  async run (argv) {
+    const { args: [command, ...args], options } = Cli.parseArgs(argv)
+    try {
+      if (command === 'list' && args.length === 0) {
+        return await this.list()
+      } else if (command === 'request' && args.length === 2) {
+        return await this.request(args[0], args[1], options)
+      } else if (command === 'listen' && args.length === 1 && (options.reply !== undefined || options.handler)) {
+        return await this.listen(args[0], options)
+      } else if (command === 'monitor' && args.length + (options.capture ? 1 : 0) === 1) {
+        return await this.monitor(args[0], options)
+      }
+    } catch (e) {
+      this.stderr.write(`${e.code ? `${e.code}: ` : ''}${e.message || e}\n`)
+      return 1
+    }
+
+    this.stderr.write(usage)
+    return 2
+  }
+
+  /**
+   * Stops a running listen or monitor command, e.g. on SIGINT
+   * @returns {boolean} false if no command was running that could be stopped
+   */
+  stop () {
+    if (!this._stop) {
+      return false
+    }
+
+    this._stop()
+    return true
+  }
+
+  /**
+   * Resolves once stop() is called
+   * @returns {Promise<void>}
+   * @private
+   */
+  _untilStopped () {
+    return new Promise(resolve => {
+      this._stop = () => {
+        this._stop = undefined
+        resolve()
+      }
+    })
+  }
+
+  /**
+   * Prints the available serial ports
+   * @returns {Promise<number>}
+   */
+  async list () {
+    const ports = await SerialPort.list()
+    ports.forEach(port => {
+      const details = [port.manufacturer, port.serialNumber].filter(Boolean).join(', ')
+      this.stdout.write(`${port.comName}${details ? `\t${details}` : ''}\n`)
+    })
+
+    return 0
+  }
+
+  /**
+   * Sends a request and prints the reply, or the error reply
+   * @param {string} port
+   * @param {string} body - JSON or string
+   * @param {Object<string, string|boolean>} options
+   * @returns {Promise<number>}
+   */
+  async request (port, body, options) {
+    const serialIO = new SerialIO(port, this._portOptions(options))
+    await serialIO.open()
+    try {
+      const reply = await serialIO.sendRequest(parseBody(body))
+      this.stdout.write(`${formatBody(reply)}\n`)
+      return 0
+    } catch (e) {
+      this.stderr.write(`${e.name || 'Error'}${e.code ? ` (${e.code})` : ''}: ${e.message || e}\n`)
+      return 1
+    } finally {
+      await serialIO.close()
+    }
+  }
+
+  /**
+   * Answers requests with a fixed reply or the reply of a handler module, until stopped
+   * @param {string} port
+   * @param {Object<string, string|boolean>} options
+   * @returns {Promise<number>}
+   */
+  async listen (port, options) {
+    const handler = options.handler ? require(path.resolve(String(options.handler))) : () => parseBody(String(options.reply))
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Handler module ${options.handler} does not export a function`)
+    }
+
+    const serialIO = new SerialIO(port, this._portOptions(options))
+    serialIO.onMessage(async (msg) => {
+      this.stdout.write(`> ${formatBody(msg)}\n`)
+      const reply = await handler(msg)
+      this.stdout.write(`< ${formatBody(reply)}\n`)
+      return reply
+    })
+    serialIO.onNotification((notification) => this.stdout.write(`> (notification) ${formatBody(notification)}\n`))
+    serialIO.on('error', (err) => this.stderr.write(`${err.message || err}\n`))
+
+    await serialIO.open()
+    this.stderr.write(`listening on ${port}\n`)
+    await this._untilStopped()
+    await serialIO.close()
+    return 0
+  }
+
+  /**
+   * Prints the frames received on a port until stopped, or the frames of a capture file
+   * @param {string} [port]
+   * @param {Object<string, string|boolean>} options
+   * @returns {Promise<number>}
+   */
+  async monitor (port, options) {
+    if (options.capture) {
+      const entries = await Capture.load(String(options.capture))
+      const parsers = { in: this._monitorParser('in'), out: this._monitorParser('out') }
+      await Capture.replay(entries, (data, entry) => parsers[entry.direction](data, entry.time),
+        { direction: null, realtime: options.realtime === true })
+      return 0
+    }
+
+    const { baudRate } = Options.normalize(this._portOptions(options))
+    const serialPort = new SerialPort(port, { autoOpen: false, baudRate })
+    const parse = this._monitorParser('in')
+    serialPort.on('data', (data) => parse(data, Date.now()))
+    serialPort.on('error', (err) => this.stderr.write(`${err.message || err}\n`))
+
+    await new Promise((resolve, reject) => serialPort.open(err => err ? reject(err) : resolve()))
+    this.stderr.write(`monitoring ${port}\n`)
+    await this._untilStopped()
+    await new Promise(resolve => serialPort.close(() => resolve()))
+    return 0
+  }
+
+  /**
+   * Creates a parser printing the messages of one direction
+   * @param {string} direction - 'in' or 'out'
+   * @returns {function(Buffer, number): void} parses a chunk received at a time (ms since epoch)
+   * @private
+   */
+  _monitorParser (direction) {
+    const parser = new DataParser()
+    let time = 0
+    const prefix = () => `${new Date(time).toISOString()} ${direction.padEnd(3)}`
+    const describe = (msg) => {
+      const flags = Object.keys(SerialIO.FRAME_FLAG).filter(name => msg.flags & SerialIO.FRAME_FLAG[name])
+      const codec = Codecs.get(msg.kind)
+      return [typeNames.get(msg.type) || Utils.toHex(msg.type), `id=${Utils.toHex(msg.id)}`, `${msg.length}b`,
+        codec ? codec.name.toUpperCase() : `kind=${Utils.toHex(msg.kind)}`, ...flags].join(' ')
+    }
+
+    parser.onMessage((msg) => {
+      let body
+      try {
+        const data = msg.flags & SerialIO.FRAME_FLAG.COMPRESSED ? zlib.inflateRawSync(msg.data) : msg.data
+        const codec = Codecs.get(msg.kind)
+        body = codec ? codec.decode(data) : data
+      } catch (e) {
+        body = `(undecodable payload: ${e.message})`
+      }
+      this.stdout.write(`${prefix()} ${describe(msg)}\n${formatBody(body)}\n`)
+    })
+    parser.onCorruptedMessage((msg) => this.stdout.write(`${prefix()} corrupted ${describe(msg)}\n`))
+    parser.onGarbage((data) => this.stdout.write(`${prefix()} garbage ${data.length}b ${data.toString('hex')}\n`))
+    parser.onIncompleteMessage((data) => this.stdout.write(`${prefix()} incomplete ${data.length}b\n`))
+
+    return (data, receivedAt) => {
+      time = receivedAt
+      parser.parseData(data)
+    }
+  }
+
+  /**
+   * Returns the SerialIO options given on the command line
+   * @param {Object<string, string|boolean>} options
+   * @returns {SerialIOOptions}
+   * @private
+   */
+  _portOptions (options) {
+    const portOptions = {}
+    if (options.baudRate !== undefined) {
+      portOptions.baudRate = Number(options.baudRate)
+    }
+    if (options.timeout !== undefined) {
+      portOptions.replyTimeout = Number(options.timeout)
+    }
+    if (options.codec !== undefined) {
+      portOptions.codec = String(options.codec)
+    }
+
+    return portOptions
+  }
+}
+
+module.exports = Cli
@@ -0,0 +1,175 @@
+const ExtendedJson = require('./ExtendedJson')
+
+/**
+ * Serializes message bodies into payloads and back. The content kind of a codec identifies it in the header of the
+ * messages it encoded, so receivers decode them with the same codec, whatever codec they use for sending.
+ *
+ * @typedef {Object} Codec
+ * @property {string} name - unique name, used in the codec option
+ * @property {number} kind - unique content kind between 0 and 63, see SerialIO.CONTENT_KIND
+ * @property {function(*): Buffer} encode - throws if the body can't be encoded
+ * @property {function(Buffer): *} decode - throws if the payload can't be decoded
+ * @property {boolean} [text] - whether payloads are text, otherwise they're logged as hex (default: false)
+ */
+
+/**
+ * Legacy codec: JSON, but strings are sent as they are, and received payloads that aren't JSON are passed on as
+ * strings. So a string that happens to be JSON (e.g. "123") arrives parsed.
+ * @type {Codec}
+ */
+const textCodec = {
+  name: 'text',
+  kind: 0x00,
+  text: true,
+  encode (body) {
+    if (typeof body === 'string') {
+      return Buffer.from(body)
+    }
+
+    try {
+      return Buffer.from(JSON.stringify(body))
+    } catch (e) {
+      return Buffer.from(String(body))
+    }
+  },
+  decode (data) {
+    const text = data.toString()
+    try {
+      // falsy values have always been passed on as strings
+      return JSON.parse(text) || text
+    } catch (e) {
+      return text
+    }
+  }
+}
+
+/**
+ * Raw bytes, used for Buffers and Uint8Arrays whatever codec is chosen
+ * @type {Codec}
+ */
+const binaryCodec = {
+  name: 'binary',
+  kind: 0x01,
+  encode (body) {
+    if (!(body instanceof Uint8Array)) {
+      throw new TypeError('binary codec can only encode Buffers and Uint8Arrays')
+    }
+
+    // Buffers are Uint8Arrays as well
+    return Buffer.isBuffer(body) ? body : Buffer.from(body.buffer, body.byteOffset, body.byteLength)
+  },
+  decode (data) {
+    return data
+  }
+}
+
+/**
+ * Strict JSON: strings are sent as JSON strings, so they arrive as strings
+ * @type {Codec}
+ */
+const jsonCodec = {
+  name: 'json',
+  kind: 0x02,
+  text: true,
+  encode (body) {
+    const json = JSON.stringify(body)
+    if (json === undefined) {
+      throw new TypeError(`json codec can't encode ${typeof body} bodies`)
+    }
+
+    return Buffer.from(json)
+  },
+  decode (data) {
+    return JSON.parse(data.toString())
+  }
+}
+
+/**
+ * Plain strings only
+ * @type {Codec}
+ */
+const stringCodec = {
+  name: 'string',
+  kind: 0x03,
+  text: true,
+  encode (body) {
+    if (typeof body !== 'string') {
+      throw new TypeError(`string codec can't encode ${typeof body} bodies`)
+    }
+
+    return Buffer.from(body)
+  },
+  decode (data) {
+    return data.toString()
+  }
+}
+
+/**
+ * JSON with tagged values, so Dates, Buffers, BigInts, Maps, Sets and custom types keep their type (see ExtendedJson)
+ * @type {Codec}
+ */
+const extendedJsonCodec = {
+  name: 'extended-json',
+  kind: 0x04,
+  text: true,
+  encode (body) {
+    const json = ExtendedJson.stringify(body)
+    if (json === undefined) {
+      throw new TypeError(`extended-json codec can't encode ${typeof body} bodies`)
+    }
+
+    return Buffer.from(json)
+  },
+  decode (data) {
+    return ExtendedJson.parse(data.toString())
+  }
+}
+
+/**
+ * Registered codecs, by content kind and by name
+ * @type {{kinds: Map<number, Codec>, names: Map<string, Codec>}}
+ */
+const registry = { kinds: new Map(), names: new Map() }
+
+/**
+ * Registry of the codecs messages can be encoded and decoded with
+ */
+class Codecs {
+  /**
+   * Registers a codec, e.g. for MessagePack or CBOR. Both sides need to register it, so the receiving side is able
+   * to decode messages encoded with it. Throws a TypeError if the codec is invalid or its name or kind is taken.
+   * @param {Codec} codec
+   */
+  static register (codec) {
+    if (codec === null || typeof codec !== 'object' || typeof codec.name !== 'string' || codec.name === '' ||
+      typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+      throw new TypeError('codec must be an object with a name, an encode() and a decode() function')
+    }
+    if (!Number.isInteger(codec.kind) || codec.kind < 0 || codec.kind > 0x3f) {
+      throw new TypeError('codec.kind must be an integer between 0 and 63')
+    }
+    if (registry.kinds.has(codec.kind) || registry.names.has(codec.name)) {
+      throw new TypeError(`codec kind ${codec.kind} or name ${codec.name} is registered already`)
+    }
+
+    registry.kinds.set(codec.kind, codec)
+    registry.names.set(codec.name, codec)
+  }
+
+  /**
+   * Returns a registered codec
+   * @param {string|number} nameOrKind - name or content kind of the codec
+   * @returns {Codec|undefined}
+   */
+  static get (nameOrKind) {
+    return typeof nameOrKind === 'number' ? registry.kinds.get(nameOrKind) : registry.names.get(nameOrKind)
+  }
+}
+
+Codecs.register(textCodec)
+Codecs.register(binaryCodec)
+Codecs.register(jsonCodec)
+Codecs.register(stringCodec)
+Codecs.register(extendedJsonCodec)
+
+module.exports = Codecs
@@ -16,14 +16,39 @@ const nextId = () => {
  * The DataParser can parse data streams in form of buffers, and extract SerialIO messages out of them.
  */
 class DataParser {
-  constructor () {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxPayloadSize] - max payload size in bytes, larger messages are dropped right away
+   * (default: Infinity)
+   * @param {number} [options.maxBufferSize] - max number of bytes buffered for a pending message, it's dropped once
+   * it needs more (default: Infinity)
+   */
+  constructor ({ maxPayloadSize = Infinity, maxBufferSize = Infinity } = {}) {
     this.d = require('debug')(`serialio:DataParser:${nextId()}`)
 
+    /** @type {number} */
+    this.maxPayloadSize = maxPayloadSize
+
+    /** @type {number} */
+    this.maxBufferSize = maxBufferSize
+
     /** @type {Buffer} */
     this._buffer = undefined
 
     /** @type {onMessageHandler} */
     this._onMessageHandler = undefined
+
+    /** @type {onCorruptedMessageHandler} */
+    this._onCorruptedMessageHandler = undefined
+
+    /** @type {onDroppedDataHandler} */
+    this._onGarbageHandler = undefined
+
+    /** @type {onDroppedDataHandler} */
+    this._onIncompleteMessageHandler = undefined
+
+    /** @type {onOversizedMessageHandler} */
+    this._onOversizedMessageHandler = undefined
   }
 
   /**
@@ -33,6 +58,27 @@ class DataParser {
    * @param {Message} message
    */
 
+  /**
+   * Callback called on each complete message whose checksum does not match
+   *
+   * @callback onCorruptedMessageHandler
+   * @param {Message} message - the corrupted message. Its header can't be trusted either
+   */
+
+  /**
+   * Callback called on each chunk of dropped data
+   *
+   * @callback onDroppedDataHandler
+   * @param {Buffer} data - dropped (unstuffed) data
+   */
+
+  /**
+   * Callback called on each message that has been dropped, because it exceeded the max payload or buffer size
+   *
+   * @callback onOversizedMessageHandler
+   * @param {Error} err - error with code MESSAGE_TOO_LARGE or BUFFER_OVERFLOW, the size in bytes and the exceeded limit
+   */
+
   /**
    * Sets the handler to be called when a new message has been parsed
    * @param {onMessageHandler} handler
@@ -41,6 +87,38 @@ class DataParser {
     this._onMessageHandler = handler
   }
 
+  /**
+   * Sets the handler to be called when a corrupted message has been dropped
+   * @param {onCorruptedMessageHandler} handler
+   */
+  onCorruptedMessage (handler) {
+    this._onCorruptedMessageHandler = handler
+  }
+
+  /**
+   * Sets the handler to be called when data outside of any message has been dropped
+   * @param {onDroppedDataHandler} handler
+   */
+  onGarbage (handler) {
+    this._onGarbageHandler = handler
+  }
+
+  /**
+   * Sets the handler to be called when an incomplete message has been dropped, because a new message started
+   * @param {onDroppedDataHandler} handler - called with the start sequence and the unstuffed data received so far
+   */
+  onIncompleteMessage (handler) {
+    this._onIncompleteMessageHandler = handler
+  }
+
+  /**
+   * Sets the handler to be called when a message has been dropped, because it exceeded the max payload or buffer size
+   * @param {onOversizedMessageHandler} handler
+   */
+  onOversizedMessage (handler) {
+    this._onOversizedMessageHandler = handler
+  }
+
   /**
    * Calls the onMessage handler with the specified message. Does not throw an error.
    * @param {Message} msg
@@ -59,8 +137,26 @@ class DataParser {
     }
   }
 
+  /**
+   * Calls a handler with the specified argument, if it's set. Does not throw an error.
+   * @param {function|undefined} handler
+   * @param {string} name - handler name, for logging
+   * @param {Message|Buffer} arg
+   * @private
+   */
+  _callHandler (handler, name, arg) {
+    if (handler) {
+      try {
+        handler(arg)
+      } catch (e) {
+        this.d('calling %s handler failed: %s', name, e.message || e)
+      }
+    }
+  }
+
   /**
    * Takes incoming data from the serial port and parses it until all data is consumed.
+   * Data following a start sequence is unstuffed as it arrives, so only the unconsumed rest is kept in the buffer.
    * @param {Buffer} data - incoming data from the serial port
    */
   parseData (data) {
@@ -68,7 +164,7 @@ class DataParser {
     this._buffer = this._buffer ? Buffer.concat([this._buffer, data]) : data
 
     this.d('parsing data: %dB, buffer: %dB', data.length, this._buffer.length, this._buffer)
-    while (this._buffer.length > 8) { // header is 9 bytes -> only parse if we have at least 9 bytes to work with
+    while (this._pendingMessage || this._buffer.length > 0) { // a pending message might be complete without further data
       this.d('looping. remaining bytes: %dB', this._buffer.length)
       if (!this._pendingMessage) {
         const nextMsg = this._buffer.indexOf(Utils.START_SEQUENCE)
@@ -77,47 +173,104 @@ class DataParser {
           // nothing found, drop data
           // worst case, all but 1b of start sequence are in buffer already
           // that's why we keep the last <start_seq> - 1 bytes
-          this._buffer = this._buffer.slice(-(Utils.START_SEQUENCE.length - 1))
+          const kept = Math.min(this._buffer.length, Utils.START_SEQUENCE.length - 1)
+          if (this._buffer.length > kept) {
+            this._callHandler(this._onGarbageHandler, 'onGarbage', this._buffer.slice(0, this._buffer.length - kept))
+          }
+          this._buffer = this._buffer.slice(this._buffer.length - kept)
           break
         } else {
           this.d('found message at index %d', nextMsg)
-          this._buffer = this._buffer.slice(nextMsg)
+          if (nextMsg > 0) {
+            this._callHandler(this._onGarbageHandler, 'onGarbage', this._buffer.slice(0, nextMsg))
+          }
+          this._buffer = this._buffer.slice(nextMsg + Utils.START_SEQUENCE.length)
           this._pendingMessage = true
+          /** @type {Buffer[]} unstuffed parts of the pending message, without start sequence */
+          this._parts = []
+          this._partsLength = 0
+          this._mSize = undefined
           continue // adapted buffer, so rerun loop
         }
       }
 
-      // extract length
-      let mLength = this._buffer.readUInt32BE(4)
-      this._mSize = mLength + 9 // length + header ( 4b start seq, 4b length, 1b type)
-      this.d('message payload length: %dB -> raw size: %dB', mLength, this._mSize)
-
-      // we check if there is a message start in the expected message payload
-      const nextNextMsg = this._buffer.indexOf(Utils.START_SEQUENCE, 4)
-      if (nextNextMsg > -1 && nextNextMsg < this._mSize) {
-        // new message received before old one completed
-        // reset buffer and try again
-        this.d('pending message cannot be completed and will be dropped. received: %dB, missing: %dB', nextNextMsg, this._mSize - nextNextMsg)
-        this._buffer = this._buffer.slice(nextNextMsg)
+      // unstuff the header first, the rest of the message once its length is known
+      const missing = (this._mSize || Utils.HEADER_SIZE) - Utils.START_SEQUENCE.length - this._partsLength
+      const unstuffed = Utils.unstuff(this._buffer, 0, missing)
+      this._parts.push(unstuffed.data)
+      this._partsLength += unstuffed.data.length
+      this._buffer = this._buffer.slice(unstuffed.consumed)
+
+      if (unstuffed.invalid) {
+        // data which can't be stuffed data, i.e. a new message started before the old one completed
+        // drop the pending message and try again
+        this.d('pending message cannot be completed and will be dropped. received: %dB, missing: %dB', this._partsLength, missing - unstuffed.data.length)
+        this._callHandler(this._onIncompleteMessageHandler, 'onIncompleteMessage', Buffer.concat([Utils.START_SEQUENCE, ...this._parts]))
+        this._pendingMessage = false
         continue
       }
 
-      if (this._buffer.length >= this._mSize) {
-        this.d('message is complete')
-        // message is complete
-        let msg = new Message(this._buffer.slice(0, this._mSize))
-        this._callOnMessageHandler(msg).catch(e => this.d('onMessage handler caller failed: %s', e.message || e))
-        this._buffer = this._buffer.slice(this._mSize)
-        this._pendingMessage = false
-      } else {
+      if (this._partsLength > this.maxBufferSize) {
+        // data is unstuffed as it arrives, so the pending message is all that's buffered.
+        // drop it, the rest of its data will be reported as garbage
+        this.d('buffer overflow, dropping pending message')
+        this._dropOversizedMessage('BUFFER_OVERFLOW', `Pending message exceeds the max buffer size of ${this.maxBufferSize}B`,
+          this._partsLength, this.maxBufferSize)
+        continue
+      }
+
+      if (unstuffed.data.length < missing) {
         // message can't be completed, i.e. return and wait for more data
         this.d('message is incomplete. waiting for more data')
         break
       }
+
+      if (this._mSize === undefined) {
+        // extract length
+        const header = Buffer.concat(this._parts, this._partsLength)
+        const mLength = header.readUInt32BE(0)
+        this._mSize = mLength + Utils.HEADER_SIZE // length + header ( 4b start seq, 4b length, 1b type, 4b id, 1b kind, 4b crc)
+        this.d('message payload length: %dB -> raw size: %dB', mLength, this._mSize)
+        this._parts = [header]
+        if (mLength > this.maxPayloadSize) {
+          // the length might be corrupted, so resync right away instead of waiting for the payload
+          this._dropOversizedMessage('MESSAGE_TOO_LARGE', `Message payload of ${mLength}B exceeds the max payload size of ${this.maxPayloadSize}B`,
+            mLength, this.maxPayloadSize)
+        }
+        continue
+      }
+
+      this.d('message is complete')
+      // message is complete
+      let msg = new Message(Buffer.concat([Utils.START_SEQUENCE, ...this._parts], this._mSize))
+      if (msg.isValid()) {
+        this._callOnMessageHandler(msg).catch(e => this.d('onMessage handler caller failed: %s', e.message || e))
+      } else {
+        // as the length might be corrupted as well, the buffer might start in the middle of a message now.
+        // this is fine, as stuffed data can't contain a start sequence, i.e. we'll find the next message anyway
+        this.d('message checksum mismatch, dropping message')
+        this._callHandler(this._onCorruptedMessageHandler, 'onCorruptedMessage', msg)
+      }
+      this._pendingMessage = false
+      this._parts = undefined
     }
 
     this.d('loop done with remaining %dB buffer:', this._buffer.length, this._buffer)
   }
+
+  /**
+   * Drops the pending message and reports it to the onOversizedMessage handler
+   * @param {string} code - error code
+   * @param {string} message - error message
+   * @param {number} size - size in bytes that exceeded the limit
+   * @param {number} limit
+   * @private
+   */
+  _dropOversizedMessage (code, message, size, limit) {
+    this._pendingMessage = false
+    this._parts = undefined
+    this._callHandler(this._onOversizedMessageHandler, 'onOversizedMessage', Object.assign(new Error(message), { code, size, limit }))
+  }
 }
 
 module.exports = DataParser
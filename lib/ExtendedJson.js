@@ -0,0 +1,232 @@
+/**
+ * Key of the type name in tagged values
+ * @type {string}
+ */
+const typeKey = '$type'
+
+/**
+ * Converts values of a type to JSON-compatible values and back
+ *
+ * @typedef {Object} ExtendedJsonType
+ * @property {function(*): boolean} test - whether a value is of this type
+ * @property {function(*): *} serialize - converts a value into a value that can be encoded (e.g. plain objects, or
+ * other types supported by ExtendedJson)
+ * @property {function(*): *} deserialize - converts the decoded serialized value back
+ */
+
+/**
+ * Registered types, by name. Custom types are checked before the built-in ones, so they may handle subclasses.
+ * @type {Map<string, ExtendedJsonType>}
+ */
+const types = new Map()
+
+/**
+ * Built-in types
+ * @type {Map<string, ExtendedJsonType>}
+ */
+const builtInTypes = new Map([
+  ['Date', {
+    test: (value) => value instanceof Date,
+    serialize: (date) => isNaN(date.getTime()) ? null : date.toISOString(),
+    deserialize: (iso) => new Date(iso === null ? NaN : iso)
+  }],
+  ['Buffer', {
+    test: (value) => Buffer.isBuffer(value),
+    serialize: (buf) => buf.toString('base64'),
+    deserialize: (base64) => Buffer.from(base64, 'base64')
+  }],
+  ['BigInt', {
+    test: (value) => Object.prototype.toString.call(value) === '[object BigInt]',
+    serialize: (n) => n.toString(),
+    deserialize: (str) => global.BigInt(str)
+  }],
+  ['Map', {
+    test: (value) => value instanceof Map,
+    serialize: (map) => Array.from(map),
+    deserialize: (entries) => new Map(entries)
+  }],
+  ['Set', {
+    test: (value) => value instanceof Set,
+    serialize: (set) => Array.from(set),
+    deserialize: (values) => new Set(values)
+  }]
+])
+
+/**
+ * Name used to tag plain objects that have a $type key themselves, so they aren't mistaken for tagged values
+ * @type {string}
+ */
+const escapedObject = 'Object'
+
+/**
+ * Defines an object member. Unlike assigning it, this keeps a __proto__ member a member.
+ * @param {Object} obj
+ * @param {string} key
+ * @param {*} value
+ */
+const setMember = (obj, key, value) => {
+  Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true })
+}
+
+const isPlainValue = (value) => value === null || typeof value === 'string' || typeof value === 'boolean' ||
+  (typeof value === 'number' && isFinite(value))
+
+/**
+ * JSON with tagged values, so Dates, Buffers, BigInts, Maps, Sets and registered custom types keep their type:
+ * they're encoded as {"$type": <type name>, "value": <serialized value>}. Everything else is encoded like JSON does.
+ */
+class ExtendedJson {
+  /**
+   * Registers a custom type, e.g. a Money class. Both sides need to register it. Throws a TypeError if the type is
+   * invalid or its name is taken.
+   * @param {string} name - name the values are tagged with
+   * @param {ExtendedJsonType} type
+   */
+  static registerType (name, type) {
+    if (typeof name !== 'string' || name === '' || name === escapedObject || types.has(name) || builtInTypes.has(name)) {
+      throw new TypeError(`type name must be a non-empty string that is not registered already, got ${name}`)
+    }
+    if (type === null || typeof type !== 'object' || typeof type.test !== 'function' ||
+      typeof type.serialize !== 'function' || typeof type.deserialize !== 'function') {
+      throw new TypeError('type must be an object with a test(), a serialize() and a deserialize() function')
+    }
+
+    types.set(name, type)
+  }
+
+  /**
+   * Encodes a value as JSON string with tagged values. Throws a TypeError for circular structures.
+   * @param {*} value
+   * @returns {string|undefined} undefined if the value can't be represented, like JSON.stringify()
+   */
+  static stringify (value) {
+    return JSON.stringify(ExtendedJson._tag(value, []))
+  }
+
+  /**
+   * Decodes a JSON string with tagged values
+   * @param {string} text
+   * @returns {*}
+   */
+  static parse (text) {
+    return ExtendedJson._untag(JSON.parse(text))
+  }
+
+  /**
+   * Converts a value into a JSON-compatible structure with tagged values
+   * @param {*} value
+   * @param {Array} ancestors - objects containing the value, to detect circular structures
+   * @returns {*}
+   * @private
+   */
+  static _tag (value, ancestors) {
+    if (isPlainValue(value)) {
+      return value
+    }
+
+    for (const [name, type] of [...types, ...builtInTypes]) {
+      if (type.test(value)) {
+        return { [typeKey]: name, value: ExtendedJson._tagNested(value, type.serialize(value), ancestors) }
+      }
+    }
+
+    if (value === null || typeof value !== 'object') {
+      // like JSON: NaN and Infinity become null, functions, symbols and undefined are skipped
+      return typeof value === 'number' ? null : undefined
+    }
+
+    if (typeof value.toJSON === 'function') {
+      return ExtendedJson._tagNested(value, value.toJSON(), ancestors)
+    }
+
+    if (ancestors.includes(value)) {
+      throw new TypeError('Converting circular structure to extended JSON')
+    }
+    ancestors.push(value)
+
+    let tagged
+    if (Array.isArray(value)) {
+      tagged = value.map(item => {
+        const taggedItem = ExtendedJson._tag(item, ancestors)
+        return taggedItem === undefined ? null : taggedItem
+      })
+    } else {
+      tagged = {}
+      Object.keys(value).forEach(key => {
+        const taggedMember = ExtendedJson._tag(value[key], ancestors)
+        if (taggedMember !== undefined) {
+          setMember(tagged, key, taggedMember)
+        }
+      })
+
+      if (Object.prototype.hasOwnProperty.call(tagged, typeKey)) {
+        tagged = { [typeKey]: escapedObject, value: tagged }
+      }
+    }
+
+    ancestors.pop()
+    return tagged
+  }
+
+  /**
+   * Reverts _tag()
+   * @param {*} value - JSON-compatible structure with tagged values
+   * @returns {*}
+   * @private
+   */
+  static _untag (value) {
+    if (value === null || typeof value !== 'object') {
+      return value
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => ExtendedJson._untag(item))
+    }
+
+    const name = value[typeKey]
+    if (name === undefined) {
+      return ExtendedJson._untagMembers(value)
+    } else if (name === escapedObject) {
+      return ExtendedJson._untagMembers(value.value)
+    }
+
+    const type = types.get(name) || builtInTypes.get(name)
+    if (!type) {
+      throw Object.assign(new Error(`Unknown extended JSON type ${name}`), { code: 'UNKNOWN_TYPE', type: name })
+    }
+    return type.deserialize(ExtendedJson._untag(value.value))
+  }
+
+  /**
+   * Tags a value derived from an object (its serialized or toJSON() value), detecting circular structures
+   * @param {Object} value - original value
+   * @param {*} derived
+   * @param {Array} ancestors
+   * @returns {*}
+   * @private
+   */
+  static _tagNested (value, derived, ancestors) {
+    if (typeof value === 'object' && ancestors.includes(value)) {
+      throw new TypeError('Converting circular structure to extended JSON')
+    }
+
+    ancestors.push(value)
+    const tagged = ExtendedJson._tag(derived, ancestors)
+    ancestors.pop()
+    return tagged
+  }
+
+  /**
+   * Untags the members of a plain object
+   * @param {Object} obj
+   * @returns {Object}
+   * @private
+   */
+  static _untagMembers (obj) {
+    const untagged = {}
+    Object.keys(obj).forEach(key => setMember(untagged, key, ExtendedJson._untag(obj[key])))
+    return untagged
+  }
+}
+
+module.exports = ExtendedJson
@@ -0,0 +1,62 @@
+const { Transform } = require('stream')
+const DataParser = require('./DataParser')
+
+/**
+ * Transform stream decoding SerialIO messages (bytes) into Message objects. Only valid messages are passed on.
+ * Emits 'corruptedMessage' (Message) for messages whose checksum doesn't match, 'garbage' (Buffer) for data outside
+ * of any message, 'incompleteMessage' (Buffer) for messages interrupted by a new message, 'oversizedMessage' (Error)
+ * for messages exceeding the max payload or buffer size, 'securityError' (Error, Message) for messages that fail
+ * authentication, and 'parseError' (Error, Buffer) if data can't be parsed at all. None of them end the stream.
+ */
+class FrameDecoder extends Transform {
+  /**
+   * @param {Object} [options] - max payload and buffer size, see DataParser
+   * @param {Authenticator} [options.authenticator] - only messages passing its verification are passed on, if set
+   */
+  constructor (options = {}) {
+    super({ readableObjectMode: true })
+
+    /** @type {Authenticator|undefined} */
+    this.authenticator = options.authenticator
+
+    /**
+     * @type {DataParser}
+     * @private
+     */
+    this._parser = new DataParser(options)
+    this._parser.onMessage((msg) => {
+      if (this.authenticator) {
+        try {
+          this.authenticator.verify(msg)
+        } catch (e) {
+          this.emit('securityError', e, msg)
+          return
+        }
+      }
+
+      this.push(msg)
+    })
+    this._parser.onCorruptedMessage((msg) => this.emit('corruptedMessage', msg))
+    this._parser.onGarbage((data) => this.emit('garbage', data))
+    this._parser.onIncompleteMessage((data) => this.emit('incompleteMessage', data))
+    this._parser.onOversizedMessage((err) => this.emit('oversizedMessage', err))
+  }
+
+  /**
+   * @param {Buffer} chunk
+   * @param {string} encoding
+   * @param {function} callback
+   * @private
+   */
+  _transform (chunk, encoding, callback) {
+    try {
+      this._parser.parseData(chunk)
+    } catch (e) {
+      this.emit('parseError', e, chunk)
+    }
+
+    callback()
+  }
+}
+
+module.exports = FrameDecoder
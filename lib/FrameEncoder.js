@@ -0,0 +1,94 @@
+const { Transform } = require('stream')
+const Utils = require('./Utils')
+const Authenticator = require('./Authenticator')
+
+/**
+ * Frame to be encoded. Messages decoded by a FrameDecoder are frames as well, so they can be re-encoded.
+ *
+ * @typedef {Object} Frame
+ * @property {number} type - message type, see SerialIO.MESSAGE_TYPE
+ * @property {number} [id] - request id, 0 if the message can't be replied to (default: 0)
+ * @property {number} [kind] - content kind of the payload, see SerialIO.CONTENT_KIND (default: 0, i.e. TEXT)
+ * @property {number} [flags] - frame flags, see SerialIO.FRAME_FLAG (default: 0)
+ * @property {Buffer|string} data - payload
+ */
+
+/**
+ * Transform stream encoding frames (objects) into SerialIO messages (bytes).
+ */
+class FrameEncoder extends Transform {
+  /**
+   * @param {Object} [options]
+   * @param {Authenticator} [options.authenticator] - authenticates all frames, if set
+   */
+  constructor ({ authenticator } = {}) {
+    super({ writableObjectMode: true })
+
+    /** @type {Authenticator|undefined} */
+    this.authenticator = authenticator
+  }
+
+  /**
+   * Creates a message buffer containing the message header and payload.
+   * Everything following the start sequence is stuffed (see Utils.stuff()), so it may contain arbitrary bytes.
+   * @param {Buffer} data - payload
+   * @param {number} type - message type
+   * @param {number} [id] - request id, 0 if the message can't be replied to
+   * @param {number} [kind] - content kind of the payload (default: 0, i.e. TEXT)
+   * @param {number} [flags] - frame flags, e.g. whether the payload is compressed (default: 0)
+   * @param {Authenticator} [authenticator] - wraps the payload in a nonce, its sender id and an HMAC, if set
+   * @returns {Buffer} buffer containing message header & payload
+   */
+  static encode (data, type, id = 0, kind = 0, flags = 0, authenticator = undefined) {
+    const overhead = authenticator ? Authenticator.OVERHEAD : 0
+    if (authenticator) {
+      flags |= Utils.FRAME_FLAG.AUTHENTICATED
+    }
+
+    // alloc with extra bytes for the start sequence and message information
+    const outBuff = Buffer.allocUnsafe(data.length + overhead + Utils.HEADER_SIZE)
+    Utils.START_SEQUENCE.copy(outBuff, 0) // start sequence
+    outBuff.writeUInt32BE(data.length + overhead, 4) // message length
+    outBuff.writeUInt8(type, 8) // message type
+    outBuff.writeUInt32BE(id, 9) // request id
+    outBuff.writeUInt8(kind | flags, 13) // content kind & frame flags
+    if (authenticator) {
+      const nonce = authenticator.nextNonce()
+      outBuff.writeUInt32BE(Math.floor(nonce / 0x100000000), Utils.HEADER_SIZE) // nonce
+      outBuff.writeUInt32BE(nonce % 0x100000000, Utils.HEADER_SIZE + 4)
+      outBuff.writeUInt32BE(authenticator.id, Utils.HEADER_SIZE + Authenticator.NONCE_SIZE) // sender id
+      data.copy(outBuff, Utils.HEADER_SIZE + Authenticator.NONCE_SIZE + Authenticator.SENDER_ID_SIZE)
+      const macOffset = outBuff.length - Authenticator.MAC_SIZE
+      authenticator.mac(outBuff, macOffset).copy(outBuff, macOffset) // hmac
+    } else {
+      data.copy(outBuff, Utils.HEADER_SIZE)
+    }
+    outBuff.writeUInt32BE(Utils.messageChecksum(outBuff), Utils.CHECKSUM_OFFSET) // checksum
+    const stuffed = Utils.stuff(outBuff.slice(Utils.START_SEQUENCE.length))
+    return stuffed.length === outBuff.length - Utils.START_SEQUENCE.length
+      ? outBuff
+      : Buffer.concat([Utils.START_SEQUENCE, stuffed])
+  }
+
+  /**
+   * @param {Frame} frame
+   * @param {string} encoding
+   * @param {function} callback
+   * @private
+   */
+  _transform (frame, encoding, callback) {
+    let encoded
+    try {
+      const data = Buffer.isBuffer(frame.data) ? frame.data : Buffer.from(frame.data)
+      // re-encoded messages are authenticated by this encoder, if at all
+      const flags = (frame.flags || 0) & ~Utils.FRAME_FLAG.AUTHENTICATED
+      encoded = FrameEncoder.encode(data, frame.type, frame.id, frame.kind, flags, this.authenticator)
+    } catch (e) {
+      return callback(e)
+    }
+
+    callback(null, encoded)
+  }
+}
+
+module.exports = FrameEncoder
@@ -0,0 +1,149 @@
+const { Readable } = require('stream')
+
+/**
+ * Readable of a stream transfer received from the remote side (see SerialIO.sendStream()).
+ * Chunks are only acknowledged once the consumer is ready for more data, so the sender respects backpressure.
+ * Emits 'expire' once no more (retransmitted) messages of the transfer are expected.
+ */
+class IncomingStream extends Readable {
+  /**
+   * @param {number} id - stream id, assigned by the sender
+   * @param {*} meta - meta data passed to sendStream() by the sender
+   * @param {number} idleTimeout - time in ms without chunks, after which the stream is destroyed
+   */
+  constructor (id, meta, idleTimeout) {
+    super()
+
+    /** @type {number} */
+    this.id = id
+
+    /** @type {*} */
+    this.meta = meta
+
+    /**
+     * Number of received chunks
+     * @type {number}
+     */
+    this.chunks = 0
+
+    /**
+     * Number of received bytes
+     * @type {number}
+     */
+    this.bytes = 0
+
+    /**
+     * Indicates if all chunks have been received
+     * @type {boolean}
+     */
+    this.finished = false
+
+    /**
+     * Error the transfer failed with, e.g. the error of an aborting sender or STREAM_TIMEOUT
+     * @type {Error|undefined}
+     */
+    this.error = undefined
+
+    this._idleTimeout = idleTimeout
+
+    /**
+     * Resolves once the consumer is ready for the next chunk
+     * @type {Promise<void>}
+     * @private
+     */
+    this._ready = Promise.resolve()
+
+    /** @private */
+    this._resume = undefined
+
+    this._touch()
+  }
+
+  /**
+   * Adds a received chunk to the stream. Chunks that have been received already (i.e. retransmissions) are ignored.
+   * @param {number} seq - sequence number of the chunk, starting at 0
+   * @param {Buffer} data
+   * @returns {Promise<void>} resolves once the consumer is ready for the next chunk
+   */
+  pushChunk (seq, data) {
+    this._touch()
+    if (seq < this.chunks) {
+      return this._ready
+    }
+
+    if (seq > this.chunks) {
+      throw Object.assign(new Error(`Missing chunk #${this.chunks} of stream ${this.id}`), { code: 'STREAM_GAP' })
+    }
+
+    this.chunks++
+    this.bytes += data.length
+    this._ready = this.push(data) ? Promise.resolve() : new Promise(resolve => { this._resume = resolve })
+    return this._ready
+  }
+
+  /**
+   * Ends the stream, after checking that all chunks have been received. Retransmitted ends are ignored.
+   * @param {number} chunks - number of chunks sent by the sender
+   */
+  finish (chunks) {
+    this._touch()
+    if (chunks !== this.chunks) {
+      throw Object.assign(new Error(`Stream ${this.id} ended after ${this.chunks} of ${chunks} chunks`), { code: 'STREAM_GAP' })
+    }
+
+    if (!this.finished) {
+      this.finished = true
+      this.push(null)
+    }
+  }
+
+  /**
+   * Destroys the stream, because the transfer failed. The error is only emitted if there is an 'error' listener, so
+   * neither the remote side nor a timeout can crash consumers that just pipe the stream. It's kept in `error` anyway.
+   * @param {Error} err
+   */
+  abort (err) {
+    this.error = err
+    this.destroy(this.listenerCount('error') > 0 ? err : undefined)
+  }
+
+  _read () {
+    if (this._resume) {
+      const resume = this._resume
+      this._resume = undefined
+      resume()
+    }
+  }
+
+  /**
+   * Unfinished streams expire right away. Finished ones are kept until the idle timeout, even though streams are
+   * destroyed right after 'end' since Node 14, so retransmitted ends (e.g. if the acknowledgement got lost) are still
+   * acknowledged.
+   * @private
+   */
+  _destroy (err, callback) {
+    callback(err)
+    if (!this.finished) {
+      clearTimeout(this._timer)
+      this.emit('expire')
+    }
+  }
+
+  /**
+   * (Re-)starts the idle timeout. Unfinished streams are destroyed after it, finished ones just expire.
+   * @private
+   */
+  _touch () {
+    clearTimeout(this._timer)
+    this._timer = setTimeout(() => {
+      if (this.finished) {
+        this.emit('expire')
+      } else {
+        this.abort(Object.assign(new Error(`Stream ${this.id} timed out`), { code: 'STREAM_TIMEOUT' }))
+      }
+    }, this._idleTimeout)
+    this._timer.unref()
+  }
+}
+
+module.exports = IncomingStream
@@ -1,3 +1,6 @@
+const Utils = require('./Utils')
+const Authenticator = require('./Authenticator')
+
 /**
  * Simple id used to uniquely identify each Message instance
  * @type {number}
@@ -48,13 +51,89 @@ class Message {
   }
 
   /**
-   * Returns the message payload (i.e. raw message without header)
+   * Returns the request id, which is used to correlate replies with their requests
+   * @returns {number}
+   */
+  get id () {
+    return this.raw.readUInt32BE(9)
+  }
+
+  /**
+   * Returns the content kind of the payload, i.e. whether it's text or binary data
+   * @returns {number}
+   */
+  get kind () {
+    return this.raw.readUInt8(13) & Utils.KIND_MASK
+  }
+
+  /**
+   * Returns the frame flags, e.g. whether the payload is compressed
+   * @returns {number}
+   */
+  get flags () {
+    return this.raw.readUInt8(13) & ~Utils.KIND_MASK
+  }
+
+  /**
+   * Indicates whether the payload is wrapped in a nonce, a sender id and an HMAC (see Authenticator)
+   * @returns {boolean}
+   */
+  get authenticated () {
+    return (this.flags & Utils.FRAME_FLAG.AUTHENTICATED) !== 0
+  }
+
+  /**
+   * Returns the nonce of authenticated messages, undefined for other messages
+   * @returns {number|undefined}
+   */
+  get nonce () {
+    if (!this.authenticated) {
+      return undefined
+    }
+
+    return this.raw.readUInt32BE(Utils.HEADER_SIZE) * 0x100000000 + this.raw.readUInt32BE(Utils.HEADER_SIZE + 4)
+  }
+
+  /**
+   * Returns the sender id of authenticated messages, undefined for other messages
+   * @returns {number|undefined}
+   */
+  get sender () {
+    if (!this.authenticated) {
+      return undefined
+    }
+
+    return this.raw.readUInt32BE(Utils.HEADER_SIZE + Authenticator.NONCE_SIZE)
+  }
+
+  /**
+   * Returns the checksum transmitted with the message
+   * @returns {number}
+   */
+  get checksum () {
+    return this.raw.readUInt32BE(Utils.CHECKSUM_OFFSET)
+  }
+
+  /**
+   * Indicates whether the transmitted checksum matches the message, i.e. whether the message is intact
+   * @returns {boolean}
+   */
+  isValid () {
+    return this.checksum === Utils.messageChecksum(this.raw)
+  }
+
+  /**
+   * Returns the message payload (i.e. raw message without header, and without nonce, sender id and HMAC if it's
+   * authenticated)
    * @returns {Buffer}
    */
   get data () {
     // don't know how much overhead slice() produces, so we reuse it after creating it once
     if (!this._data) {
-      this._data = this.raw.slice(9)
+      const start = Utils.HEADER_SIZE + Authenticator.NONCE_SIZE + Authenticator.SENDER_ID_SIZE
+      this._data = this.authenticated
+        ? this.raw.slice(start, this.raw.length - Authenticator.MAC_SIZE)
+        : this.raw.slice(Utils.HEADER_SIZE)
     }
 
     return this._data
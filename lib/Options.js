@@ -0,0 +1,428 @@
+const Codecs = require('./Codecs')
+
+/**
+ * Valid values of the parity line setting
+ * @type {string[]}
+ */
+const parities = ['none', 'even', 'odd', 'mark', 'space']
+
+/**
+ * Serial line settings, passed to the serial port
+ * @type {string[]}
+ */
+const lineSettings = ['baudRate', 'dataBits', 'stopBits', 'parity', 'rtscts', 'xon', 'xoff', 'xany']
+
+/**
+ * Names of the per-call options of SerialIO.send()
+ * @type {string[]}
+ */
+const sendOptionNames = ['id', 'timeout', 'chunkSize', 'queueTimeout', 'codec']
+
+/**
+ * Names of the per-call options of SerialIO.sendStream()
+ * @type {string[]}
+ */
+const sendStreamOptionNames = ['chunkSize', 'retries', 'retryDelay', 'timeout']
+
+/**
+ * Asserts that an option value is valid, throws a TypeError otherwise
+ * @param {boolean} valid
+ * @param {string} name - name of the option
+ * @param {string} expected - description of valid values
+ */
+const assert = (valid, name, expected) => {
+  if (!valid) {
+    throw new TypeError(`options.${name} must be ${expected}`)
+  }
+}
+
+/**
+ * Asserts that an options object only contains known options, throws a TypeError naming the first unknown one
+ * otherwise, e.g. a misspelled one
+ * @param {Object} options
+ * @param {string[]} known - names of all known options
+ * @param {string} [prefix] - prefix of the option names in error messages
+ */
+const assertKnown = (options, known, prefix = '') => {
+  const unknown = Object.keys(options).find(name => !known.includes(name))
+  if (unknown !== undefined) {
+    const similar = known.find(name => name.toLowerCase() === unknown.toLowerCase())
+    throw new TypeError(`options.${prefix}${unknown} is not a known option${similar ? `, did you mean ${prefix}${similar}?` : ''}`)
+  }
+}
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0
+
+const isLimit = (value) => value === Infinity || isPositiveInteger(value)
+
+const isObject = (value) => value !== null && typeof value === 'object'
+
+/**
+ * Asserts valid values of send options, either per-call or the defaults of SerialIO
+ * @param {Object} options
+ * @param {string} timeoutName - name of the timeout option
+ */
+const assertSendOptions = (options, timeoutName) => {
+  assert(options.id === undefined || (Number.isInteger(options.id) && options.id >= 0 && options.id <= 0xffffffff), 'id', 'an unsigned 32 bit integer')
+  assert(options[timeoutName] === undefined || isPositiveInteger(options[timeoutName]), timeoutName, 'a positive integer')
+  assert(options.chunkSize === undefined || isPositiveInteger(options.chunkSize), 'chunkSize', 'a positive integer')
+  assert(options.queueTimeout === undefined || isLimit(options.queueTimeout), 'queueTimeout', 'a positive integer or Infinity')
+  assert(options.codec === undefined || (typeof options.codec === 'string' && Codecs.get(options.codec) !== undefined),
+    'codec', 'the name of a registered codec')
+}
+
+/**
+ * Reconnect behaviour after the port has been closed unexpectedly.
+ * The delay before attempt n is interval * factor^(n-1), capped at maxInterval and reduced by up to jitter * delay.
+ *
+ * @typedef {Object} ReconnectOptions
+ * @property {boolean} [enabled] - whether to reopen the port (default: true)
+ * @property {number} [interval] - delay before the first reopen attempt in ms (default: 1000)
+ * @property {number} [maxInterval] - max delay between reopen attempts in ms (default: 30000)
+ * @property {number} [factor] - factor the delay grows by with each attempt (default: 1, i.e. constant delay)
+ * @property {number} [jitter] - random share of the delay between 0 and 1 (default: 0)
+ * @property {number} [maxAttempts] - max number of reopen attempts (default: Infinity)
+ * @property {number} [deadline] - time in ms after which reopening is given up (default: Infinity)
+ */
+
+/**
+ * Behaviour of the queue of outgoing messages, which waits for the port to finish writing the previous message
+ *
+ * @typedef {Object} QueueOptions
+ * @property {number} [maxSize] - max number of waiting messages, further messages are rejected (default: 100)
+ * @property {number} [timeout] - max time in ms a message may wait, before it's rejected (default: 10000)
+ */
+
+/**
+ * Heartbeat, which pings the remote side to detect broken links (e.g. unplugged adapters that don't close the port)
+ *
+ * @typedef {Object} HeartbeatOptions
+ * @property {boolean} [enabled] - whether to send heartbeats while the port is open (default: false)
+ * @property {number} [interval] - time in ms between two heartbeats, also the time to wait for a response
+ * (default: 5000)
+ * @property {number} [maxMissed] - number of missed heartbeats in a row, after which the link is considered down
+ * (default: 3)
+ */
+
+/**
+ * Handshake after opening the port, in which both sides agree on a protocol version and the features to use
+ *
+ * @typedef {Object} HandshakeOptions
+ * @property {boolean} [enabled] - whether to shake hands after opening the port (default: false)
+ * @property {number} [timeout] - time in ms to wait for the handshake of the remote side (default: 5000)
+ * @property {number} [retryInterval] - time in ms after which an unanswered handshake is sent again, so a remote side
+ * opening its port later still receives it (default: 1000)
+ * @property {string[]} [features] - features offered to the remote side (default: SerialIO.FEATURES)
+ */
+
+/**
+ * Compression of message payloads (deflate). Only used once both sides agreed on it in a handshake, see the handshake
+ * option.
+ *
+ * @typedef {Object} CompressionOptions
+ * @property {boolean} [enabled] - whether to compress payloads (default: false)
+ * @property {number} [threshold] - min payload size in bytes to compress (default: 1024)
+ * @property {number} [level] - zlib compression level between 0 and 9, or -1 for the zlib default (default: -1)
+ */
+
+/**
+ * Behaviour of stream transfers (see SerialIO.sendStream())
+ *
+ * @typedef {Object} StreamOptions
+ * @property {number} [chunkSize] - max size in bytes of the data sent per chunk (default: 4096)
+ * @property {number} [retries] - number of times an unacknowledged chunk is sent again, before the transfer is
+ * aborted (default: 3)
+ * @property {number} [retryDelay] - time in ms to wait before the first retry, doubling with each further retry. While
+ * the port is being reopened, retries also wait for it to be reopened (default: 500)
+ * @property {number} [idleTimeout] - time in ms without chunks, after which a received stream is destroyed
+ * (default: 30000)
+ */
+
+/**
+ * SerialIO options
+ *
+ * @typedef {Object} SerialIOOptions
+ * @property {number} [baudRate] - (default: 9600)
+ * @property {number} [dataBits] - 5, 6, 7 or 8 (default: 8)
+ * @property {number} [stopBits] - 1 or 2 (default: 1)
+ * @property {string} [parity] - 'none', 'even', 'odd', 'mark' or 'space' (default: 'none')
+ * @property {boolean} [rtscts] - hardware flow control (default: false)
+ * @property {boolean} [xon] - software flow control (default: false)
+ * @property {boolean} [xoff] - software flow control (default: false)
+ * @property {boolean} [xany] - software flow control (default: false)
+ * @property {number} [replyTimeout] - time in ms to wait for a reply (default: SerialIO.REPLY_TIMEOUT)
+ * @property {number} [chunkSize] - max size in bytes of a single write to the port (default: 64KiB)
+ * @property {number} [maxPayloadSize] - max payload size in bytes of sent and received messages (default: 16MiB)
+ * @property {number} [maxBufferSize] - max number of bytes buffered for a received message (default: 32MiB)
+ * @property {boolean|ReconnectOptions} [reconnect] - reconnect behaviour, true/false to just enable/disable it
+ * @property {QueueOptions} [queue] - behaviour of the queue of outgoing messages
+ * @property {StreamOptions} [stream] - behaviour of stream transfers
+ * @property {boolean|HeartbeatOptions} [heartbeat] - heartbeat behaviour, true/false to just enable/disable it
+ * @property {boolean|HandshakeOptions} [handshake] - handshake behaviour, true/false to just enable/disable it
+ * @property {boolean|CompressionOptions} [compression] - compression behaviour, true/false to just enable/disable it
+ * @property {string} [codec] - name of the codec message bodies are encoded with, see SerialIO.Codecs (default: 'text')
+ * @property {Buffer|string} [authKey] - pre-shared key, all frames are authenticated with it if set (default: undefined)
+ * @property {number} [authWindow] - max difference in ms between the time an authenticated frame was sent (its nonce)
+ * and the local time. Older (and newer) frames are dropped, so recorded frames can't be replayed after a restart
+ * either. Both sides' clocks need to be in sync within it, so it's disabled by default. Without it, a restarted
+ * receiver accepts recorded frames replayed to it, until it received a newer one (default: Infinity)
+ * @property {boolean} [exposeErrorStack] - whether error replies include the stack of the error (default: false)
+ */
+
+/**
+ * Per-call options of SerialIO.send()
+ *
+ * @typedef {Object} SendOptions
+ * @property {number} [id] - request id. Requests get a new id if omitted, and are rejected with code
+ * DUPLICATE_REQUEST_ID if their id is already waiting for a reply. Replies need the id of the request they answer
+ * @property {number} [timeout] - time in ms to wait for a reply, overrides the replyTimeout option
+ * @property {number} [chunkSize] - max size in bytes of a single write to the port, overrides the chunkSize option
+ * @property {number} [queueTimeout] - max time in ms the message may wait in the queue, overrides the queue.timeout
+ * option
+ * @property {string} [codec] - name of the codec the body is encoded with, overrides the codec option
+ */
+
+/**
+ * Per-call options of SerialIO.sendStream()
+ *
+ * @typedef {Object} SendStreamOptions
+ * @property {number} [chunkSize] - max size in bytes of the data sent per chunk, overrides the stream.chunkSize option
+ * @property {number} [retries] - number of retries per chunk, overrides the stream.retries option
+ * @property {number} [retryDelay] - time in ms to wait before the first retry, overrides the stream.retryDelay option
+ * @property {number} [timeout] - time in ms to wait for the acknowledgement of a chunk, overrides the replyTimeout
+ * option
+ */
+
+/**
+ * Behaviour of in-memory loopback channels (see SerialIO.createPair()). Applies to both directions.
+ *
+ * @typedef {Object} LoopbackOptions
+ * @property {number} [latency] - delay in ms before written data arrives at the other side (default: 0)
+ * @property {number} [chunkSize] - max size in bytes of the chunks written data arrives in (default: Infinity)
+ * @property {number} [dropRate] - probability between 0 and 1 that a byte gets lost (default: 0)
+ * @property {number} [corruptRate] - probability between 0 and 1 that a byte gets corrupted (default: 0)
+ */
+
+/**
+ * Validates options and fills in defaults
+ */
+class Options {
+  /**
+   * Default SerialIO options
+   * @returns {SerialIOOptions}
+   * @constructor
+   */
+  static get DEFAULTS () {
+    return {
+      baudRate: 9600,
+      dataBits: 8,
+      stopBits: 1,
+      parity: 'none',
+      rtscts: false,
+      xon: false,
+      xoff: false,
+      xany: false,
+      replyTimeout: 5000,
+      chunkSize: 1024 * 64,
+      maxPayloadSize: 1024 * 1024 * 16,
+      maxBufferSize: 1024 * 1024 * 32,
+      reconnect: {
+        enabled: true,
+        interval: 1000,
+        maxInterval: 30000,
+        factor: 1,
+        jitter: 0,
+        maxAttempts: Infinity,
+        deadline: Infinity
+      },
+      queue: {
+        maxSize: 100,
+        timeout: 10000
+      },
+      stream: {
+        chunkSize: 4096,
+        retries: 3,
+        retryDelay: 500,
+        idleTimeout: 30000
+      },
+      heartbeat: {
+        enabled: false,
+        interval: 5000,
+        maxMissed: 3
+      },
+      handshake: {
+        enabled: false,
+        timeout: 5000,
+        retryInterval: 1000,
+        features: undefined
+      },
+      compression: {
+        enabled: false,
+        threshold: 1024,
+        level: -1
+      },
+      codec: 'text',
+      authKey: undefined,
+      authWindow: Infinity,
+      exposeErrorStack: false
+    }
+  }
+
+  /**
+   * Names of the options that are passed to the serial port
+   * @returns {string[]}
+   * @constructor
+   */
+  static get LINE_SETTINGS () {
+    return lineSettings
+  }
+
+  /**
+   * Validates SerialIO options and merges them with the defaults. Throws a TypeError on invalid or unknown options.
+   * @param {SerialIOOptions} [options]
+   * @returns {SerialIOOptions}
+   */
+  static normalize (options = {}) {
+    assert(options !== null && typeof options === 'object', 'options', 'an object')
+
+    const defaults = Options.DEFAULTS
+    assertKnown(options, Object.keys(defaults))
+    let reconnect = options.reconnect
+    if (typeof reconnect === 'boolean') {
+      reconnect = { enabled: reconnect }
+    }
+    assert(reconnect === undefined || (reconnect !== null && typeof reconnect === 'object'), 'reconnect', 'a boolean or an object')
+
+    let heartbeat = options.heartbeat
+    if (typeof heartbeat === 'boolean') {
+      heartbeat = { enabled: heartbeat }
+    }
+    assert(heartbeat === undefined || isObject(heartbeat), 'heartbeat', 'a boolean or an object')
+
+    let handshake = options.handshake
+    if (typeof handshake === 'boolean') {
+      handshake = { enabled: handshake }
+    }
+    assert(handshake === undefined || isObject(handshake), 'handshake', 'a boolean or an object')
+
+    let compression = options.compression
+    if (typeof compression === 'boolean') {
+      compression = { enabled: compression }
+    }
+    assert(compression === undefined || isObject(compression), 'compression', 'a boolean or an object')
+
+    assert(options.queue === undefined || isObject(options.queue), 'queue', 'an object')
+    assert(options.stream === undefined || isObject(options.stream), 'stream', 'an object')
+    const nested = { reconnect, queue: options.queue, stream: options.stream, heartbeat, handshake, compression }
+    for (const name of Object.keys(nested)) {
+      if (nested[name] !== undefined) {
+        assertKnown(nested[name], Object.keys(defaults[name]), `${name}.`)
+      }
+    }
+
+    const normalized = Object.assign({}, defaults, options, {
+      reconnect: Object.assign({}, defaults.reconnect, reconnect),
+      queue: Object.assign({}, defaults.queue, options.queue),
+      stream: Object.assign({}, defaults.stream, options.stream),
+      heartbeat: Object.assign({}, defaults.heartbeat, heartbeat),
+      handshake: Object.assign({}, defaults.handshake, handshake),
+      compression: Object.assign({}, defaults.compression, compression)
+    })
+
+    assert(isPositiveInteger(normalized.baudRate), 'baudRate', 'a positive integer')
+    assert([5, 6, 7, 8].includes(normalized.dataBits), 'dataBits', 'one of 5, 6, 7, 8')
+    assert([1, 2].includes(normalized.stopBits), 'stopBits', 'one of 1, 2')
+    assert(parities.includes(normalized.parity), 'parity', `one of ${parities.join(', ')}`)
+    for (const name of ['rtscts', 'xon', 'xoff', 'xany', 'exposeErrorStack']) {
+      assert(typeof normalized[name] === 'boolean', name, 'a boolean')
+    }
+    assertSendOptions(normalized, 'replyTimeout')
+    assert(typeof normalized.reconnect.enabled === 'boolean', 'reconnect.enabled', 'a boolean')
+    assert(isPositiveInteger(normalized.reconnect.interval), 'reconnect.interval', 'a positive integer')
+    assert(isPositiveInteger(normalized.reconnect.maxInterval) && normalized.reconnect.maxInterval >= normalized.reconnect.interval,
+      'reconnect.maxInterval', 'a positive integer, not less than reconnect.interval')
+    assert(typeof normalized.reconnect.factor === 'number' && normalized.reconnect.factor >= 1, 'reconnect.factor', 'a number >= 1')
+    assert(typeof normalized.reconnect.jitter === 'number' && normalized.reconnect.jitter >= 0 && normalized.reconnect.jitter <= 1,
+      'reconnect.jitter', 'a number between 0 and 1')
+    assert(isLimit(normalized.reconnect.maxAttempts), 'reconnect.maxAttempts', 'a positive integer or Infinity')
+    assert(isLimit(normalized.reconnect.deadline), 'reconnect.deadline', 'a positive integer or Infinity')
+    assert(isLimit(normalized.maxPayloadSize), 'maxPayloadSize', 'a positive integer or Infinity')
+    assert(isLimit(normalized.maxBufferSize), 'maxBufferSize', 'a positive integer or Infinity')
+    assert(isLimit(normalized.queue.maxSize), 'queue.maxSize', 'a positive integer or Infinity')
+    assert(isLimit(normalized.queue.timeout), 'queue.timeout', 'a positive integer or Infinity')
+    Options.validateStreamOptions(normalized.stream, 'stream.')
+    assert(isPositiveInteger(normalized.stream.idleTimeout), 'stream.idleTimeout', 'a positive integer')
+    assert(typeof normalized.heartbeat.enabled === 'boolean', 'heartbeat.enabled', 'a boolean')
+    assert(isPositiveInteger(normalized.heartbeat.interval), 'heartbeat.interval', 'a positive integer')
+    assert(isPositiveInteger(normalized.heartbeat.maxMissed), 'heartbeat.maxMissed', 'a positive integer')
+    assert(typeof normalized.handshake.enabled === 'boolean', 'handshake.enabled', 'a boolean')
+    assert(isPositiveInteger(normalized.handshake.timeout), 'handshake.timeout', 'a positive integer')
+    assert(isPositiveInteger(normalized.handshake.retryInterval), 'handshake.retryInterval', 'a positive integer')
+    assert(normalized.handshake.features === undefined ||
+      (Array.isArray(normalized.handshake.features) && normalized.handshake.features.every(f => typeof f === 'string')),
+    'handshake.features', 'an array of strings')
+    assert(typeof normalized.compression.enabled === 'boolean', 'compression.enabled', 'a boolean')
+    assert(Number.isInteger(normalized.compression.threshold) && normalized.compression.threshold >= 0,
+      'compression.threshold', 'a non-negative integer')
+    assert(Number.isInteger(normalized.compression.level) && normalized.compression.level >= -1 && normalized.compression.level <= 9,
+      'compression.level', 'an integer between -1 and 9')
+    assert(normalized.authKey === undefined ||
+      ((Buffer.isBuffer(normalized.authKey) || typeof normalized.authKey === 'string') && normalized.authKey.length > 0),
+    'authKey', 'a non-empty Buffer or string')
+    assert(isLimit(normalized.authWindow), 'authWindow', 'a positive integer or Infinity')
+
+    return normalized
+  }
+
+  /**
+   * Validates per-call options of SerialIO.send(). Throws a TypeError on invalid or unknown options.
+   * @param {SendOptions} options
+   * @returns {SendOptions}
+   */
+  static validateSendOptions (options) {
+    assert(options !== null && typeof options === 'object', 'options', 'an object')
+    assertKnown(options, sendOptionNames)
+    assertSendOptions(options, 'timeout')
+
+    return options
+  }
+
+  /**
+   * Validates options of loopback channels and merges them with the defaults. Throws a TypeError on invalid options.
+   * @param {LoopbackOptions} [options]
+   * @returns {LoopbackOptions}
+   */
+  static normalizeLoopbackOptions (options = {}) {
+    assert(isObject(options), 'options', 'an object')
+    const normalized = Object.assign({ latency: 0, chunkSize: Infinity, dropRate: 0, corruptRate: 0 }, options)
+
+    assert(Number.isInteger(normalized.latency) && normalized.latency >= 0, 'latency', 'a non-negative integer')
+    assert(isLimit(normalized.chunkSize), 'chunkSize', 'a positive integer or Infinity')
+    for (const name of ['dropRate', 'corruptRate']) {
+      assert(typeof normalized[name] === 'number' && normalized[name] >= 0 && normalized[name] <= 1, name, 'a number between 0 and 1')
+    }
+
+    return normalized
+  }
+
+  /**
+   * Validates options of stream transfers. Throws a TypeError on invalid or unknown options.
+   * @param {SendStreamOptions|StreamOptions} options
+   * @param {string} [prefix] - prefix of the option names in error messages
+   * @returns {SendStreamOptions|StreamOptions}
+   */
+  static validateStreamOptions (options, prefix = '') {
+    assert(isObject(options), prefix ? prefix.slice(0, -1) : 'options', 'an object')
+    assertKnown(options, prefix ? Object.keys(Options.DEFAULTS.stream) : sendStreamOptionNames, prefix)
+    assert(options.chunkSize === undefined || isPositiveInteger(options.chunkSize), `${prefix}chunkSize`, 'a positive integer')
+    assert(options.retries === undefined || (Number.isInteger(options.retries) && options.retries >= 0), `${prefix}retries`,
+      'a non-negative integer')
+    assert(options.retryDelay === undefined || (Number.isInteger(options.retryDelay) && options.retryDelay >= 0),
+      `${prefix}retryDelay`, 'a non-negative integer')
+    assert(options.timeout === undefined || isPositiveInteger(options.timeout), `${prefix}timeout`, 'a positive integer')
+
+    return options
+  }
+}
+
+module.exports = Options
@@ -0,0 +1,24 @@
+/**
+ * Thrown if the handshake after opening the port (see the handshake option) finds no protocol version that is
+ * supported by both sides, e.g. because the remote side runs an incompatible version of SerialIO.
+ */
+class ProtocolMismatchError extends Error {
+  /**
+   * @param {string} message
+   * @param {number[]} localVersions - protocol versions supported by this side
+   * @param {number[]} remoteVersions - protocol versions supported by the remote side
+   */
+  constructor (message, localVersions, remoteVersions) {
+    super(message)
+    this.name = 'ProtocolMismatchError'
+    this.code = 'PROTOCOL_MISMATCH'
+
+    /** @type {number[]} */
+    this.localVersions = localVersions
+
+    /** @type {number[]} */
+    this.remoteVersions = remoteVersions
+  }
+}
+
+module.exports = ProtocolMismatchError
@@ -0,0 +1,122 @@
+/**
+ * Error properties which are transmitted explicitly, i.e. not as additional properties
+ * @type {string[]}
+ */
+const reservedProperties = ['name', 'message', 'stack', 'cause']
+
+/**
+ * Max depth of transmitted cause chains, to protect against circular causes
+ * @type {number}
+ */
+const maxCauseDepth = 10
+
+/**
+ * Indicates whether a value can be encoded as JSON, e.g. it's not circular and contains no BigInts
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isSerializable = (value) => {
+  try {
+    return JSON.stringify(value) !== undefined
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Serialized form of an error, as it's transmitted in error replies
+ *
+ * @typedef {Object} SerializedError
+ * @property {string} name
+ * @property {string} message
+ * @property {string} [stack] - only transmitted if requested
+ * @property {SerializedError} [cause]
+ */
+
+/**
+ * An error that has been thrown on the remote side and was sent as an error reply.
+ * Keeps the name, message and additional properties (e.g. code) of the original error.
+ */
+class RemoteError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [properties] - additional properties of the original error, e.g. name, code or cause
+   */
+  constructor (message, properties = {}) {
+    super(message)
+    const { name = 'Error', stack, cause, ...rest } = properties
+    // defined instead of assigned, so a remote __proto__ property stays a property instead of replacing the prototype
+    Object.keys(rest).forEach(key => {
+      Object.defineProperty(this, key, { value: rest[key], enumerable: true, writable: true, configurable: true })
+    })
+
+    /**
+     * Name of the original error
+     * @type {string}
+     */
+    this.name = name
+
+    /**
+     * Stack of the original error, if the remote side transmitted it
+     * @type {string|undefined}
+     */
+    this.remoteStack = stack
+
+    /**
+     * Cause of the original error, if it had one
+     * @type {RemoteError|undefined}
+     */
+    this.cause = cause === undefined ? undefined : RemoteError.fromJSON(cause)
+  }
+
+  /**
+   * Serializes an error, so it can be transmitted as JSON. Additional properties that can't be encoded as JSON are
+   * left out, except for the code, which is sent as string then.
+   * @param {Error} err
+   * @param {boolean} [includeStack] - whether to include the stack of the error (and its causes)
+   * @param {number} [depth] - current depth of the cause chain
+   * @returns {SerializedError}
+   */
+  static serialize (err, includeStack = false, depth = 0) {
+    if (!(err instanceof Error)) {
+      return { name: 'Error', message: String(err) }
+    }
+
+    const serialized = { name: String(err.name), message: String(err.message) }
+    Object.keys(err)
+      .filter(key => !reservedProperties.includes(key))
+      .forEach(key => {
+        if (isSerializable(err[key])) {
+          serialized[key] = err[key]
+        } else if (key === 'code') {
+          serialized.code = String(err.code)
+        }
+      })
+
+    if (includeStack) {
+      serialized.stack = err.stack
+    }
+
+    if (err.cause !== undefined && depth < maxCauseDepth) {
+      serialized.cause = RemoteError.serialize(err.cause, includeStack, depth + 1)
+    }
+
+    return serialized
+  }
+
+  /**
+   * Creates a RemoteError from the body of an error reply
+   * @param {SerializedError|Object|string} body - serialized error, or the message of errors sent by older versions
+   * @returns {RemoteError}
+   */
+  static fromJSON (body) {
+    if (body !== null && typeof body === 'object' && typeof body.message === 'string') {
+      const { message, ...properties } = body
+      return new RemoteError(message, properties)
+    }
+
+    return new RemoteError(typeof body === 'string' ? body : JSON.stringify(body))
+  }
+}
+
+module.exports = RemoteError
@@ -1,28 +1,165 @@
+const EventEmitter = require('events')
+const zlib = require('zlib')
 const sp = require('serialport')
 const Utils = require('./Utils')
 // const Message = require('./Message')
-const DataParser = require('./DataParser')
+const FrameEncoder = require('./FrameEncoder')
+const FrameDecoder = require('./FrameDecoder')
+const Authenticator = require('./Authenticator')
+const Stats = require('./Stats')
+const Capture = require('./Capture')
+const Codecs = require('./Codecs')
+const ExtendedJson = require('./ExtendedJson')
+const RemoteError = require('./RemoteError')
+const Options = require('./Options')
+const IncomingStream = require('./IncomingStream')
+const ProtocolMismatchError = require('./ProtocolMismatchError')
+const StreamTransport = require('./transports/StreamTransport')
+const SocketTransport = require('./transports/SocketTransport')
+const LoopbackTransport = require('./transports/LoopbackTransport')
+const ReplayTransport = require('./transports/ReplayTransport')
+
+/**
+ * Indicates whether a message type is used by the protocol itself, i.e. whether its body is not given by the user.
+ * Those bodies are always encoded with the text codec, whatever codec is chosen.
+ * @param {number} msgType
+ * @returns {boolean}
+ */
+const isProtocolType = (msgType) => {
+  const { PING, PONG, HELLO, STREAM_OPEN, STREAM_ABORT, ERROR } = SerialIO.MESSAGE_TYPE
+  return msgType === PING || msgType === PONG || msgType === HELLO || msgType === ERROR ||
+    (msgType >= STREAM_OPEN && msgType <= STREAM_ABORT)
+}
+
+/**
+ * Returns the optional feature a message type belongs to
+ * @param {number} msgType
+ * @returns {string|undefined}
+ */
+const featureOfType = (msgType) => {
+  const { CALL, NOTIFY, PING, STREAM_OPEN, STREAM_ABORT } = SerialIO.MESSAGE_TYPE
+  if (msgType === CALL) {
+    return 'calls'
+  } else if (msgType === NOTIFY) {
+    return 'notifications'
+  } else if (msgType === PING) {
+    return 'heartbeat'
+  } else if (msgType >= STREAM_OPEN && msgType <= STREAM_ABORT) {
+    return 'streams'
+  }
+}
+
+/**
+ * @typedef {Object} CompressionCounters
+ * @property {number} messages - number of compressed messages
+ * @property {number} originalBytes - payload bytes before compression
+ * @property {number} compressedBytes - payload bytes after compression
+ */
+
+/**
+ * @returns {CompressionCounters}
+ */
+const newCompressionCounters = () => ({ messages: 0, originalBytes: 0, compressedBytes: 0 })
 
 /**
  * Messaging API, allows to send & receive message over a serial serialIO in a simple manner.
+ *
+ * Emits the events 'open', 'close', 'error', 'drain', 'reply', 'unexpectedReply', 'timeout', 'corruptedFrame',
+ * 'parseError', 'garbage', 'reconnecting', 'reconnected', 'reconnectFailed', 'notification', 'stream', 'streamProgress', 'heartbeat', 'linkDown', 'linkUp', 'handshake', 'oversizedMessage' and 'securityError'. 'error' events are only emitted if
+ * there is a listener for them.
+ * The onX() methods are kept for compatibility: each of them replaces the listener set by its previous call, but
+ * leaves listeners added by on() untouched.
  */
-class SerialIO {
+class SerialIO extends EventEmitter {
+  /**
+   * Transports implement the subset of the SerialPort API used by SerialIO, so serial ports are transports as well.
+   * See SerialIO.StreamTransport and SerialIO.SocketTransport.
+   *
+   * @typedef {Object} Transport
+   * @property {string} [name] - name of the transport, used in debug logs
+   * @property {boolean} isOpen
+   * @property {boolean} [reopenable] - false if the transport can't be opened again after it has been closed
+   * @property {function(function(Error|null))} open
+   * @property {function(function(Error|null))} close
+   * @property {function(Buffer, string, function(Error|null|undefined))} write
+   * @property {function(function(Error|null))} drain
+   */
+
   /**
-   * Creates a new SerialIO instance bound to the specified serial port.
-   * @param {string} port - target serial port, e.g. '/dev/tty1'
+   * Creates a new SerialIO instance bound to the specified serial port, or any other transport.
+   * @param {string|Transport} port - target serial port, e.g. '/dev/tty1', or a transport, e.g. a SocketTransport
+   * @param {SerialIOOptions} [options] - line settings, timeouts etc. Throws a TypeError if they're invalid.
+   * Line settings only apply to serial ports.
    */
-  constructor (port) {
-    this.d = require('debug')(`serialio:serialio:${port}`)
-    this.d('initializing SerialIO on port: %s', port)
+  constructor (port, options) {
+    super()
+    const isTransport = port !== null && typeof port === 'object' && typeof port.open === 'function' && typeof port.write === 'function'
+    if (typeof port !== 'string' && !isTransport) {
+      throw new TypeError('port must be the path of a serial port or a transport')
+    }
+
+    const portName = isTransport ? port.name || 'transport' : port
+    this.d = require('debug')(`serialio:serialio:${portName}`)
+    this.d('initializing SerialIO on port: %s', portName)
     this._sp = sp
-    this._portString = port
+    this._portString = portName
+
+    /**
+     * Transport passed to the constructor, undefined for serial ports
+     * @type {Transport|undefined}
+     * @private
+     */
+    this._transport = isTransport ? port : undefined
+
+    /**
+     * Validated options, including defaults
+     * @type {SerialIOOptions}
+     */
+    this.options = Options.normalize(options)
+
+    /**
+     * Codec message bodies are encoded with, see the codec option
+     * @type {Codec}
+     * @private
+     */
+    this._codec = Codecs.get(this.options.codec)
 
     /**
-     * Indicates if a message transaction is in progress
+     * Authenticates sent and verifies received frames, if the authKey option is set. Kept across reconnects, so
+     * frames received before can't be replayed afterwards.
+     * @type {Authenticator|undefined}
+     * @private
+     */
+    this._authenticator = this.options.authKey !== undefined
+      ? new Authenticator(this.options.authKey, this.options.authWindow)
+      : undefined
+
+    /**
+     * Encodes the frames of the send queue into messages, one at a time (see _processQueue())
+     * @type {FrameEncoder}
+     * @private
+     */
+    this._encoder = new FrameEncoder({ authenticator: this._authenticator })
+
+    /**
+     * Indicates if a message is being written to the port
      * @type {boolean}
      */
     this.sending = false
 
+    /**
+     * Frames waiting to be encoded and written to the port
+     * @type {Array<{frame: Frame, chunkSize: number, onWrite: function, resolve: function, reject: function, timeout: *}>}
+     * @private
+     */
+    this._queue = []
+
+    /**
+     * Indicates if error replies include the stack of the error
+     * @type {boolean}
+     */
+    this.exposeErrorStack = this.options.exposeErrorStack
+
     /**
      * indicates if closing event is intended behaviour
      * @type {boolean}
@@ -31,76 +168,384 @@ class SerialIO {
     this._closing = false
 
     /**
-     * Holds event handlers
+     * Indicates if the port is being reopened after it has been closed unexpectedly
+     * @type {boolean}
+     * @private
+     */
+    this._reconnecting = false
+
+    /**
+     * Number of reopen attempts since the port has been closed unexpectedly
+     * @type {number}
+     * @private
+     */
+    this._reopenAttempts = 0
+
+    /**
+     * Holds the message handler and the event listeners set by the onX() methods, by event name
      * @type {Object.<string, function>}
      * @private
      */
     this._handlers = {}
+
+    /**
+     * Holds method handlers, by method name
+     * @type {Map<string, function>}
+     * @private
+     */
+    this._methods = new Map()
+
+    /**
+     * Holds requests that are waiting for a reply, by request id
+     * @type {Map<number, {resolve: function, reject: function, timeout: *, sent: number}>}
+     * @private
+     */
+    this._pendingRequests = new Map()
+
+    /**
+     * Id of the last sent request
+     * @type {number}
+     * @private
+     */
+    this._lastRequestId = 0
+
+    /**
+     * Holds streams received from the remote side, by stream id
+     * @type {Map<number, IncomingStream>}
+     * @private
+     */
+    this._incomingStreams = new Map()
+
+    /**
+     * Id of the last sent stream
+     * @type {number}
+     * @private
+     */
+    this._lastStreamId = 0
+
+    /**
+     * State of the heartbeat: pings waiting for a pong (sent time by ping id), missed heartbeats in a row etc.
+     * @type {{timer: *, pending: Map<number, number>, lastPingId: number, missed: number, linkUp: boolean, latency: number|undefined}}
+     * @private
+     */
+    this._heartbeat = { timer: undefined, pending: new Map(), lastPingId: 0, missed: 0, linkUp: true, latency: undefined }
+
+    /**
+     * Protocol version and features agreed on with the remote side, undefined until a handshake took place
+     * @type {{version: number, features: string[]}|undefined}
+     * @private
+     */
+    this._capabilities = undefined
+
+    /**
+     * Settles the pending handshake of open() once the handshake of the remote side arrived
+     * @type {{resolve: function, reject: function}|undefined}
+     * @private
+     */
+    this._handshakeWaiter = undefined
+
+    /**
+     * Number of compressed messages and their sizes before and after compression, for each direction
+     * @type {{sent: CompressionCounters, received: CompressionCounters}}
+     * @private
+     */
+    this._compressionStats = { sent: newCompressionCounters(), received: newCompressionCounters() }
+
+    /**
+     * Traffic, error and round trip time statistics, see getStats()
+     * @type {Stats}
+     * @private
+     */
+    this._stats = new Stats()
+
+    /**
+     * Capture recording the raw traffic, see startCapture()
+     * @type {Capture|undefined}
+     * @private
+     */
+    this._capture = undefined
+
+    /**
+     * Settles once the compressed messages received so far have been decompressed and handled, undefined if there
+     * are none
+     * @type {Promise<void>|undefined}
+     * @private
+     */
+    this._decompressing = undefined
   }
 
   /**
-   * Prepares the serialport (without opening it). May throw an error, if the target port does not exist
+   * Prepares the serialport or transport (without opening it). May throw an error, if the target port does not exist
    */
   preparePort () {
-    this._port = new this._sp(this._portString, { autoOpen: false })
-    this._parser = new DataParser()
-    this._parser.onMessage((msg) => this._handleMessage(msg))
+    if (this._transport) {
+      this._port = this._transport
+    } else {
+      const portOptions = { autoOpen: false }
+      Options.LINE_SETTINGS.forEach(name => { portOptions[name] = this.options[name] })
+      this._port = new this._sp(this._portString, portOptions)
+    }
+    this._decoder = new FrameDecoder({
+      maxPayloadSize: this.options.maxPayloadSize,
+      maxBufferSize: this.options.maxBufferSize,
+      authenticator: this._authenticator
+    })
+    this._decoder.on('data', (msg) => {
+      this._stats.received.frames++
+      this._receive(msg)
+    })
+    this._decoder.on('corruptedMessage', (msg) => {
+      this._stats.corruptedFrames++
+      this._handleCorruptedMessage(msg)
+    })
+    this._decoder.on('garbage', (data) => {
+      this._stats.droppedBytes += data.length
+      this._emit('garbage', data)
+    })
+    this._decoder.on('incompleteMessage', (data) => {
+      this._stats.incompleteFrames++
+      this._emit('parseError', Object.assign(new Error('Incomplete message dropped'), { code: 'INCOMPLETE_MESSAGE' }), data)
+    })
+    this._decoder.on('oversizedMessage', (err) => {
+      this.d('dropped oversized message: %s', err.message)
+      this._stats.oversizedFrames++
+      this._emit('oversizedMessage', err)
+    })
+    this._decoder.on('securityError', (err, msg) => {
+      this.d('dropped message failing authentication: %s', err.message)
+      this._stats.securityErrors++
+      this._emit('securityError', err, msg.raw)
+    })
+    this._decoder.on('parseError', (e, data) => {
+      this.d('parsing data failed: %s', e.message || e)
+      this._emit('parseError', e, data)
+    })
     this._port.on('data', data => {
-      try { this._parser.parseData(data) } catch (e) { this.d('parsing data failed: %s', e.message || e) }
+      this._stats.received.bytes += data.length
+      if (this._capture) {
+        this._capture.record('in', data)
+      }
+      this._decoder.write(data)
     })
     this._port.on('error', err => {
       this.d('error event: %s', err)
-      if (this._handlers.error) {
-        try { this._handlers.error(err) } catch (e) { this.d('error handler returned with error: %s', e.message || e) }
-      }
+      this._emit('error', err)
     })
     this._port.on('drain', err => {
       this.d('drain event: %s', err)
-      if (this._handlers.drain) {
-        try { this._handlers.drain(err) } catch (e) { this.d('drain handler returned with error: %s', e.message || e) }
-      }
+      this._emit('drain', err)
     })
 
     this._port.on('open', err => {
       this.d('open event: %s', err)
-      if (this._handlers.open) {
-        try { this._handlers.open(err) } catch (e) { this.d('open handler returned with error: %s', e.message || e) }
-      }
+      this._startHeartbeat()
+      this._emit('open', err)
     })
     this._port.on('close', err => {
       this.d('close event: %s', err)
-      if (this._handlers.close) {
-        // provide handler with additional 'unexpected' flag
-        try { this._handlers.close(err, !this._closing) } catch (e) { this.d('close handler returned with error: %s', e.message || e) }
-      }
+      this._stopHeartbeat()
+      this._capabilities = undefined
+      // provide listeners with additional 'unexpected' flag
+      this._emit('close', err, !this._closing)
       this._closeHandler(new Error(err))
     })
   }
 
   /**
-   * SerialIO message types
-   * @returns {{REQUEST: number, ERROR: number, REPLY: number}}
+   * SerialIO message types. CALL messages are requests routed to method handlers (see handle()),
+   * NOTIFY messages are never replied to (see sendNotification()), PING and PONG messages are heartbeats handled
+   * internally, HELLO messages carry the handshake and STREAM_X messages carry stream transfers (see sendStream()).
+   * @returns {{REQUEST: number, CALL: number, NOTIFY: number, PING: number, PONG: number, HELLO: number, STREAM_OPEN: number, STREAM_DATA: number, STREAM_END: number,
+   * STREAM_ABORT: number, ERROR: number, REPLY: number}}
    * @constructor
    */
   static get MESSAGE_TYPE () {
     return {
       REQUEST: 0x00,
+      CALL: 0x01,
+      NOTIFY: 0x02,
+      PING: 0x03,
+      PONG: 0x04,
+      HELLO: 0x05,
+      STREAM_OPEN: 0x10,
+      STREAM_DATA: 0x11,
+      STREAM_END: 0x12,
+      STREAM_ABORT: 0x13,
       REPLY: 0xfe,
       ERROR: 0xff
     }
   }
 
+  /**
+   * SerialIO content kinds, i.e. the codec a message payload was encoded with (see SerialIO.Codecs).
+   * TEXT payloads are JSON or plain strings, BINARY payloads are raw bytes, JSON payloads are strictly JSON,
+   * STRING payloads are plain strings and EXTENDED_JSON payloads are JSON with tagged values (see ExtendedJson).
+   * Kinds up to 63 are available for custom codecs.
+   * @returns {{TEXT: number, BINARY: number, JSON: number, STRING: number, EXTENDED_JSON: number}}
+   * @constructor
+   */
+  static get CONTENT_KIND () {
+    return {
+      TEXT: 0x00,
+      BINARY: 0x01,
+      JSON: 0x02,
+      STRING: 0x03,
+      EXTENDED_JSON: 0x04
+    }
+  }
+
+  /**
+   * SerialIO frame flags, sent in the high bits of the content kind byte. COMPRESSED payloads are deflated,
+   * AUTHENTICATED payloads are wrapped in a nonce, a sender id and an HMAC (see the authKey option).
+   * @returns {{COMPRESSED: number, AUTHENTICATED: number}}
+   * @constructor
+   */
+  static get FRAME_FLAG () {
+    return Utils.FRAME_FLAG
+  }
+
+  /**
+   * Protocol version of this SerialIO version, i.e. of its frame format
+   * @returns {number}
+   * @constructor
+   */
+  static get PROTOCOL_VERSION () {
+    return 3
+  }
+
+  /**
+   * Optional features, which are only used if both sides support them (once they shook hands, see the handshake
+   * option). Checksums and binary payloads are part of the frame format, so they're not optional.
+   * @returns {string[]}
+   * @constructor
+   */
+  static get FEATURES () {
+    return ['calls', 'notifications', 'streams', 'heartbeat', 'compression']
+  }
+
+  /**
+   * Error class of errors thrown if the handshake finds no common protocol version
+   * @returns {ProtocolMismatchError}
+   * @constructor
+   */
+  static get ProtocolMismatchError () {
+    return ProtocolMismatchError
+  }
+
+  /**
+   * Transport over an arbitrary Duplex stream
+   * @returns {StreamTransport}
+   * @constructor
+   */
+  static get StreamTransport () {
+    return StreamTransport
+  }
+
+  /**
+   * Transport over a TCP or Unix socket
+   * @returns {SocketTransport}
+   * @constructor
+   */
+  static get SocketTransport () {
+    return SocketTransport
+  }
+
+  /**
+   * Transport replaying a capture, see startCapture()
+   * @returns {ReplayTransport}
+   * @constructor
+   */
+  static get ReplayTransport () {
+    return ReplayTransport
+  }
+
+  /**
+   * Registry of the codecs message bodies are encoded with, see the codec option
+   * @returns {Codecs}
+   * @constructor
+   */
+  static get Codecs () {
+    return Codecs
+  }
+
+  /**
+   * JSON with tagged values, used by the extended-json codec. Provides registerType() for custom types.
+   * @returns {ExtendedJson}
+   * @constructor
+   */
+  static get ExtendedJson () {
+    return ExtendedJson
+  }
+
+  /**
+   * Recorder and reader of raw traffic captures
+   * @returns {Capture}
+   * @constructor
+   */
+  static get Capture () {
+    return Capture
+  }
+
+  /**
+   * Creates two SerialIO instances connected by an in-memory channel, e.g. for application tests without hardware.
+   * The channel can be disturbed via the transport of each instance, e.g. a.transport.latency = 100 or
+   * a.transport.corruptNext(1, 20) (see LoopbackTransport).
+   * @param {LoopbackOptions} [channelOptions] - latency, chunk size, drop and corrupt rates of both directions
+   * @param {SerialIOOptions} [options] - options of both instances
+   * @returns {SerialIO[]} both instances, not opened yet
+   */
+  static createPair (channelOptions, options) {
+    return LoopbackTransport.createPair(channelOptions).map(transport => new SerialIO(transport, options))
+  }
+
+  /**
+   * Transform stream encoding frames into messages, e.g. to bridge between ports
+   * @returns {FrameEncoder}
+   * @constructor
+   */
+  static get FrameEncoder () {
+    return FrameEncoder
+  }
+
+  /**
+   * Transform stream decoding messages into Message objects, e.g. to decode log dumps
+   * @returns {FrameDecoder}
+   * @constructor
+   */
+  static get FrameDecoder () {
+    return FrameDecoder
+  }
+
+  /**
+   * Statistics class, provides Stats.toPrometheus() to export snapshots returned by getStats()
+   * @returns {Stats}
+   * @constructor
+   */
+  static get Stats () {
+    return Stats
+  }
+
+  /**
+   * Error class of errors received as error replies
+   * @returns {RemoteError}
+   * @constructor
+   */
+  static get RemoteError () {
+    return RemoteError
+  }
+
   /**
    * Returns the default reply timeout
    * @returns {number}
    * @constructor
    */
   static get REPLY_TIMEOUT () {
-    return 5000
+    return Options.DEFAULTS.replyTimeout
   }
 
   /**
-   * Tries to open the serial port.
+   * Tries to open the serial port. If the handshake is enabled, also shakes hands with the remote side and closes the
+   * port again if that fails, e.g. with a ProtocolMismatchError.
    * @returns {Promise<void>}
    */
   open () {
@@ -118,7 +563,19 @@ class SerialIO {
       }
 
       this._port.open((e) => {
-        if (e === null) { resolve() } else { this.d('opening port failed: %s', e.message || e); reject(e) }
+        if (e !== null) {
+          this.d('opening port failed: %s', e.message || e)
+          reject(e)
+        } else if (!this.options.handshake.enabled) {
+          resolve()
+        } else {
+          this._handshake().then(resolve, (err) => {
+            this.d('handshake failed: %s', err.message || err)
+            // while reconnecting, the port is closed without giving up reconnecting, so the next attempt follows
+            const closed = this._reconnecting ? this._closePort() : this.close()
+            closed.then(() => reject(err), () => reject(err))
+          })
+        }
       })
     })
   }
@@ -129,6 +586,17 @@ class SerialIO {
    */
   close () {
     this._closing = true
+    this.cancelReconnect()
+    return this._closePort()
+  }
+
+  /**
+   * Closes the port, without touching the reconnect state
+   * @returns {Promise<void>}
+   * @private
+   */
+  _closePort () {
+    this._stopHeartbeat()
     return new Promise((resolve, reject) => {
       this._port.close((err) => {
         if (err === null) { resolve() } else { reject(err) }
@@ -150,261 +618,1438 @@ class SerialIO {
    * Callback called on each new parsed message
    *
    * @callback onMessageHandler
-   * @param {object|string} message
+   * @param {object|string|Buffer} message
    */
 
   /**
-   * Callback called on each open event
-   *
-   * @callback onOpenHandler
+   * Number of messages waiting to be written to the port
+   * @returns {number}
    */
+  get queueLength () {
+    return this._queue.length
+  }
 
   /**
-   * Callback called on each close event
-   *
-   * @callback onCloseHandler
-   * @param {Error|undefined} error
-   * @param {boolean} expected - whether or not this close event was expected, i.e. invoked by user
+   * Indicates whether the port is being reopened after it has been closed unexpectedly.
+   * @returns {boolean}
    */
+  isReconnecting () {
+    return this._reconnecting
+  }
 
   /**
-   * Callback called on each drain event
-   *
-   * @callback onDrainHandler
-   * @param {Error|undefined} error
+   * Number of reopen attempts since the port has been closed unexpectedly
+   * @returns {number}
    */
+  get reconnectAttempts () {
+    return this._reopenAttempts
+  }
 
   /**
-   * Callback called on each error event
-   *
-   * @callback onErrorHandler
-   * @param {Error|undefined} error
+   * Indicates whether the link to the remote side is up, i.e. fewer than heartbeat.maxMissed heartbeats in a row
+   * have been missed. Always true if the heartbeat is disabled.
+   * @returns {boolean}
    */
+  isLinkUp () {
+    return this._heartbeat.linkUp
+  }
 
   /**
-   * Sets the handler to be called when a new message has been received
-   * @param {onMessageHandler} handler
+   * Round-trip time in ms of the last answered heartbeat, undefined if no heartbeat has been answered yet
+   * @returns {number|undefined}
    */
-  onMessage (handler) {
-    this._handlers.message = handler
+  get latency () {
+    return this._heartbeat.latency
   }
 
   /**
-   * Sets a handler to be called on 'error' events of the underlying serial port
-   * @param {onErrorHandler} handler
+   * Transport of this instance, i.e. the SerialPort for serial ports. Undefined until the port has been prepared.
+   * @returns {Transport|undefined}
    */
-  onError (handler) {
-    this._handlers.error = handler
+  get transport () {
+    return this._port
   }
 
   /**
-   * Sets a handler to be called on 'drain' events of the underlying serial port
-   * @param {onDrainHandler} handler
+   * Number of compressed messages and their payload sizes before and after compression, for each direction.
+   * savedBytes is the difference of both sizes.
+   * @returns {{sent: CompressionCounters, received: CompressionCounters}}
    */
-  onDrain (handler) {
-    this._handlers.drain = handler
+  get compressionStats () {
+    const withSavings = (counters) => Object.assign({ savedBytes: counters.originalBytes - counters.compressedBytes }, counters)
+    return { sent: withSavings(this._compressionStats.sent), received: withSavings(this._compressionStats.received) }
   }
 
   /**
-   * Sets a handler to be called on 'close' events of the underlying serial port
-   * @param {onCloseHandler} handler
+   * Returns a snapshot of the statistics: bytes and frames per direction, dropped data, failures, reconnects, a
+   * histogram of request round trip times, the compression statistics and the heartbeat latency.
+   * See SerialIO.Stats.toPrometheus() to export it.
+   * @param {Object} [options]
+   * @param {boolean} [options.reset] - resets the statistics after taking the snapshot (default: false)
+   * @returns {StatsSnapshot}
    */
-  onClose (handler) {
-    this._handlers.close = handler
+  getStats ({ reset = false } = {}) {
+    const snapshot = Object.assign(this._stats.snapshot(), { compression: this.compressionStats, latency: this.latency })
+    if (reset) {
+      this.resetStats()
+    }
+
+    return snapshot
   }
 
   /**
-   * Sets a handler to be called on 'open' events of the underlying serial port
-   * @param {onOpenHandler} handler
+   * Resets the statistics, including the compression statistics
    */
-  onOpen (handler) {
-    this._handlers.open = handler
+  resetStats () {
+    this._stats.reset()
+    this._compressionStats = { sent: newCompressionCounters(), received: newCompressionCounters() }
   }
 
   /**
-   * Send a request with a message body
-   * @param {string|object|Error} body
-   * @returns {Promise<string>}
+   * Protocol version and features agreed on with the remote side, undefined until a handshake took place.
+   * Features missing here are not used, e.g. call() is rejected with code UNSUPPORTED_FEATURE if 'calls' is missing.
+   * @returns {{version: number, features: string[]}|undefined}
    */
-  sendRequest (body) {
-    return this.send(body)
+  get capabilities () {
+    return this._capabilities
+  }
+
+  /**
+   * Starts recording every raw chunk read from and written to the port, with time and direction (see Capture).
+   * A running capture is stopped first. If writing the capture fails later on, recording stops and the error is
+   * emitted as 'error' event.
+   * @param {string|Writable} target - path of the capture file (appended to, if it exists) or a writable stream
+   * @returns {Promise<void>} resolves once the capture file has been opened, rejects if it can't be opened
+   */
+  async startCapture (target) {
+    await this.stopCapture()
+    const onError = (err) => {
+      this.d('writing capture failed: %s', err.message || err)
+      this._emit('error', err)
+    }
+    this._capture = typeof target === 'string' ? await Capture.toFile(target, onError) : new Capture(target, onError)
+    this.d('capturing traffic to %s', typeof target === 'string' ? target : 'stream')
+  }
+
+  /**
+   * Stops recording the traffic and ends the capture stream
+   * @returns {Promise<void>} resolves once everything has been written. Failed captures have been reported as
+   * 'error' event already, so they resolve as well.
+   */
+  async stopCapture () {
+    const capture = this._capture
+    this._capture = undefined
+    if (capture && capture.error === undefined) {
+      await capture.close()
+    }
+  }
+
+  /**
+   * Stops reopening the port after it has been closed unexpectedly. Unlike close(), this does not touch the port, but a
+   * reopen attempt in progress closes the port again once it's open.
+   */
+  cancelReconnect () {
+    if (this._reconnecting) {
+      this.d('reconnecting cancelled after %d attempts', this._reopenAttempts)
+    }
+
+    this._reconnecting = false
+    clearTimeout(this._reconnectTimeout)
+    this._reconnectTimeout = undefined
+  }
+
+  /**
+   * Callback called on each received notification. Notifications are never replied to.
+   *
+   * @callback onNotificationHandler
+   * @param {object|string|Buffer} notification
+   */
+
+  /**
+   * Callback called on each reply that does not belong to a pending request
+   *
+   * @callback onUnexpectedReplyHandler
+   * @param {number} id - request id of the reply
+   * @param {object|string|Buffer|RemoteError} reply - reply body, or a RemoteError for error replies
+   */
+
+  /**
+   * Callback called on each received message that has been dropped because of a checksum mismatch
+   *
+   * @callback onCorruptedFrameHandler
+   * @param {Buffer} raw - raw bytes of the corrupted message, including its header
+   */
+
+  /**
+   * Callback called before each attempt to reopen the port
+   *
+   * @callback onReconnectingHandler
+   * @param {number} attempt - number of the upcoming attempt, starting at 1
+   * @param {number} delay - time in ms until the attempt
+   */
+
+  /**
+   * Callback called when the port has been reopened successfully
+   *
+   * @callback onReconnectedHandler
+   * @param {number} attempts - number of attempts it took to reopen the port
+   */
+
+  /**
+   * Callback called when reopening the port has been given up
+   *
+   * @callback onReconnectFailedHandler
+   * @param {number} attempts - number of failed attempts
+   * @param {Error|undefined} error - error of the last attempt
+   */
+
+  /**
+   * Callback called on each open event
+   *
+   * @callback onOpenHandler
+   */
+
+  /**
+   * Callback called on each close event
+   *
+   * @callback onCloseHandler
+   * @param {Error|undefined} error
+   * @param {boolean} expected - whether or not this close event was expected, i.e. invoked by user
+   */
+
+  /**
+   * Callback called on each drain event
+   *
+   * @callback onDrainHandler
+   * @param {Error|undefined} error
+   */
+
+  /**
+   * Callback called on each error event
+   *
+   * @callback onErrorHandler
+   * @param {Error|undefined} error
+   */
+
+  /**
+   * Sets the handler to be called when a new message has been received
+   * @param {onMessageHandler} handler
+   */
+  onMessage (handler) {
+    this._handlers.message = handler
+  }
+
+  /**
+   * Callback called on each call of a method
+   *
+   * @callback methodHandler
+   * @param {*} params - parameters of the call
+   * @returns {*} result of the call, which is sent as reply. May return a Promise
+   */
+
+  /**
+   * Registers a handler for calls of the specified method (see call()), replacing an existing handler.
+   * Like the onMessage handler, its return value is sent as reply and thrown errors are sent as error reply.
+   * @param {string} method
+   * @param {methodHandler} handler
+   */
+  handle (method, handler) {
+    if (typeof method !== 'string' || typeof handler !== 'function') {
+      throw new TypeError('handle() expects a method name and a handler function')
+    }
+
+    this._methods.set(method, handler)
+  }
+
+  /**
+   * Removes the handler of the specified method
+   * @param {string} method
+   */
+  unhandle (method) {
+    this._methods.delete(method)
+  }
+
+  /**
+   * Sets a handler to be called on 'error' events of the underlying serial port
+   * @param {onErrorHandler} handler
+   */
+  onError (handler) {
+    this._setListener('error', handler)
+  }
+
+  /**
+   * Sets a handler to be called on 'drain' events of the underlying serial port
+   * @param {onDrainHandler} handler
+   */
+  onDrain (handler) {
+    this._setListener('drain', handler)
+  }
+
+  /**
+   * Sets a handler to be called on 'close' events of the underlying serial port
+   * @param {onCloseHandler} handler
+   */
+  onClose (handler) {
+    this._setListener('close', handler)
+  }
+
+  /**
+   * Sets a handler to be called on 'open' events of the underlying serial port
+   * @param {onOpenHandler} handler
+   */
+  onOpen (handler) {
+    this._setListener('open', handler)
+  }
+
+  /**
+   * Sets a handler to be called on replies that can't be matched to a pending request,
+   * e.g. because the request has already timed out
+   * @param {onUnexpectedReplyHandler} handler
+   */
+  onUnexpectedReply (handler) {
+    this._setListener('unexpectedReply', handler)
+  }
+
+  /**
+   * Sets a handler to be called before each attempt to reopen the port after it has been closed unexpectedly
+   * @param {onReconnectingHandler} handler
+   */
+  onReconnecting (handler) {
+    this._setListener('reconnecting', handler)
+  }
+
+  /**
+   * Sets a handler to be called when the port has been reopened after it has been closed unexpectedly
+   * @param {onReconnectedHandler} handler
+   */
+  onReconnected (handler) {
+    this._setListener('reconnected', handler)
+  }
+
+  /**
+   * Sets a handler to be called when reopening the port has been given up, because of the maxAttempts or deadline
+   * reconnect options
+   * @param {onReconnectFailedHandler} handler
+   */
+  onReconnectFailed (handler) {
+    this._setListener('reconnectFailed', handler)
+  }
+
+  /**
+   * Sets a handler to be called on received notifications (see sendNotification())
+   * @param {onNotificationHandler} handler
+   */
+  onNotification (handler) {
+    this._setListener('notification', handler)
+  }
+
+  /**
+   * Sets a handler to be called on received messages that have been dropped, because they were corrupted in transit
+   * @param {onCorruptedFrameHandler} handler
+   */
+  onCorruptedFrame (handler) {
+    this._setListener('corruptedFrame', handler)
+  }
+
+  /**
+   * Send a request with a message body
+   * @param {string|object|Buffer|Uint8Array|Error} body
+   * @param {SendOptions} [options] - per-call options, e.g. timeout
+   * @returns {Promise<string|object|Buffer>}
+   */
+  sendRequest (body, options) {
+    return this.send(body, SerialIO.MESSAGE_TYPE.REQUEST, options)
+  }
+
+  /**
+   * Calls a method on the remote side, which is handled by the method handler registered there (see handle()).
+   * Calls of unknown methods are rejected with a RemoteError with code METHOD_NOT_FOUND. The call is encoded with the
+   * codec, unless the codec can't encode objects (e.g. the string codec), then it's encoded as JSON.
+   * @param {string} method
+   * @param {*} [params] - parameters of the call, need to be serializable to JSON
+   * @param {SendOptions} [options] - per-call options, e.g. timeout
+   * @returns {Promise<*>} result of the call
+   */
+  call (method, params, options) {
+    if (typeof method !== 'string') {
+      return Promise.reject(new TypeError('call() expects a method name'))
+    }
+
+    return this.send({ method, params }, SerialIO.MESSAGE_TYPE.CALL, options)
+  }
+
+  /**
+   * Send a notification, e.g. a status change. Notifications are not replied to, so this resolves as soon as the
+   * notification has been written to the port.
+   * @param {string|object|Buffer|Uint8Array} body
+   * @param {SendOptions} [options] - per-call options, e.g. queueTimeout
+   * @returns {Promise<void>}
+   */
+  sendNotification (body, options) {
+    return this.send(body, SerialIO.MESSAGE_TYPE.NOTIFY, options)
+  }
+
+  /**
+   * Sends the data of a readable stream in acknowledged chunks. The remote side receives it as a readable stream
+   * (see the 'stream' event), which only acknowledges chunks once its consumer is ready for more data.
+   * Unacknowledged chunks (e.g. after a timeout or a corrupted frame) are sent again, up to `retries` times with a
+   * growing delay in between, before the transfer is aborted. While the port is being reopened, retries wait for it, so
+   * transfers resume from the last acknowledged chunk after short disconnects. Emits a 'streamProgress' event after each acknowledged chunk.
+   * @param {Readable} readable - stream of Buffers or strings
+   * @param {*} [meta] - meta data of the transfer, e.g. a file name. Needs to be serializable to JSON
+   * @param {SendStreamOptions} [options] - per-call options, e.g. chunkSize
+   * @returns {Promise<{streamId: number, chunks: number, bytes: number}>}
+   */
+  async sendStream (readable, meta, options = {}) {
+    if (readable === null || typeof readable !== 'object' || typeof readable.read !== 'function') {
+      throw new TypeError('sendStream() expects a readable stream')
+    }
+
+    Options.validateStreamOptions(options)
+    const { chunkSize, retries, retryDelay } = Object.assign({}, this.options.stream, options)
+    const sendOptions = options.timeout === undefined ? {} : { timeout: options.timeout }
+    const streamId = this._nextStreamId()
+    const progress = { streamId, direction: 'outgoing', meta, chunks: 0, bytes: 0 }
+
+    this.d('sending stream %s in chunks of %d bytes', Utils.toHex(streamId), chunkSize)
+    const reader = Utils.chunkReader(readable, chunkSize)
+    try {
+      await this._sendStreamMessage({ streamId, meta }, SerialIO.MESSAGE_TYPE.STREAM_OPEN, sendOptions, retries, retryDelay)
+
+      let data
+      while ((data = await reader.read()) !== null) {
+        const chunk = Buffer.allocUnsafe(8 + data.length)
+        chunk.writeUInt32BE(streamId, 0)
+        chunk.writeUInt32BE(progress.chunks, 4)
+        data.copy(chunk, 8)
+        await this._sendStreamMessage(chunk, SerialIO.MESSAGE_TYPE.STREAM_DATA, sendOptions, retries, retryDelay)
+
+        progress.chunks++
+        progress.bytes += data.length
+        this._emit('streamProgress', Object.assign({}, progress))
+      }
+
+      await this._sendStreamMessage({ streamId, chunks: progress.chunks }, SerialIO.MESSAGE_TYPE.STREAM_END, sendOptions, retries, retryDelay)
+    } catch (e) {
+      this.d('sending stream %s failed: %s', Utils.toHex(streamId), e.message || e)
+      const abort = { streamId, error: RemoteError.serialize(e, this.exposeErrorStack) }
+      this.send(abort, SerialIO.MESSAGE_TYPE.STREAM_ABORT, sendOptions).catch((err) =>
+        this.d('aborting stream %s failed: %s', Utils.toHex(streamId), err.message || err)
+      )
+      throw e
+    } finally {
+      reader.release()
+    }
+
+    this.d('sent stream %s: %d chunks, %d bytes', Utils.toHex(streamId), progress.chunks, progress.bytes)
+    return { streamId, chunks: progress.chunks, bytes: progress.bytes }
   }
 
   /**
    * Send a (success) reply
-   * @param {string|object|Error} body
+   * @param {string|object|Buffer|Uint8Array|Error} body
+   * @param {number} id - id of the request this is a reply to
+   * @param {SendOptions} [options] - per-call options, e.g. codec
+   * @returns {Promise<string>}
+   */
+  sendReply (body, id, options = {}) {
+    return this.send(body, SerialIO.MESSAGE_TYPE.REPLY, Object.assign({}, options, { id }))
+  }
+
+  /**
+   * Send an error reply. Errors are serialized with their name, message, additional properties (e.g. code) and cause,
+   * so the requester receives them as RemoteError.
+   * @param {string|object|Buffer|Uint8Array|Error} body
+   * @param {number} id - id of the request this is a reply to
    * @returns {Promise<string>}
    */
-  sendReply (body) {
-    return this.send(body, SerialIO.MESSAGE_TYPE.REPLY)
+  sendErrorReply (body, id) {
+    if (body instanceof Error) {
+      body = RemoteError.serialize(body, this.exposeErrorStack)
+    }
+
+    return this.send(body, SerialIO.MESSAGE_TYPE.ERROR, { id })
+  }
+
+  /**
+   * Sends a message over the serial bus. Returns a Promise that may resolve with a reply.
+   * Buffers and Uint8Arrays are sent as raw bytes, everything else is encoded with the codec (see the codec option).
+   * While another message is being written, the message waits in the send queue.
+   * @param {string|object|Buffer|Uint8Array} msgBody
+   * @param {number} msgType
+   * @param {SendOptions} [options] - per-call options, e.g. request id or timeout
+   * @returns {Promise<string|object|Buffer>}
+   */
+  send (msgBody = '', msgType = SerialIO.MESSAGE_TYPE.REQUEST, options = {}) {
+    this.d(`send %s message, type %s`, typeof msgBody, Utils.toHex(msgType))
+    return new Promise(async (resolve, reject) => {
+      try {
+        Options.validateSendOptions(options)
+      } catch (e) {
+        return reject(e)
+      }
+
+      const feature = featureOfType(msgType)
+      if (feature && !this._supports(feature)) {
+        return reject(Object.assign(new Error(`Remote side does not support ${feature}`), { code: 'UNSUPPORTED_FEATURE', feature }))
+      }
+
+      const expectsReply = SerialIO.expectsReply(msgType)
+      let id = options.id
+      if (id === undefined) {
+        id = expectsReply ? this._nextRequestId() : 0
+      } else if (expectsReply && this._isRequestIdTaken(id)) {
+        return reject(Object.assign(new Error(`Request id ${Utils.toHex(id)} is already waiting for a reply`),
+          { code: 'DUPLICATE_REQUEST_ID', id }))
+      }
+
+      let codec
+      if (msgBody instanceof Uint8Array) {
+        codec = Codecs.get(SerialIO.CONTENT_KIND.BINARY)
+      } else if (options.codec !== undefined) {
+        codec = Codecs.get(options.codec)
+      } else {
+        codec = isProtocolType(msgType) ? Codecs.get(SerialIO.CONTENT_KIND.TEXT) : this._codec
+      }
+
+      let sBuf
+      try {
+        // Errors are sent as their message
+        sBuf = codec.encode(msgBody instanceof Error ? msgBody.message : msgBody)
+      } catch (e) {
+        this.d('encoding body with %s codec failed: %s', codec.name, e.message || e)
+        if (msgType !== SerialIO.MESSAGE_TYPE.CALL || codec !== this._codec) {
+          return reject(Object.assign(e, { code: e.code || 'ENCODING_FAILED' }))
+        }
+
+        // call envelopes are objects, which e.g. the string codec can't encode, so they fall back to JSON
+        codec = Codecs.get(SerialIO.CONTENT_KIND.JSON)
+        try {
+          sBuf = codec.encode(msgBody)
+        } catch (e) {
+          this.d('encoding call with json codec failed: %s', e.message || e)
+          return reject(Object.assign(e, { code: e.code || 'ENCODING_FAILED' }))
+        }
+      }
+      const kind = codec.kind
+
+      // receivers check the payload size including the nonce, sender id and HMAC of authenticated frames
+      const size = sBuf.length + (this._authenticator ? Authenticator.OVERHEAD : 0)
+      if (size > this.options.maxPayloadSize) {
+        return reject(Object.assign(new Error(`Message body of ${size}B exceeds the max payload size of ${this.options.maxPayloadSize}B`),
+          { code: 'MESSAGE_TOO_LARGE', size, limit: this.options.maxPayloadSize }))
+      }
+
+      const logString = codec.text ? sBuf.toString() : sBuf.toString('hex')
+      this.d(`${this._portString} < [${Utils.toHex(msgType)}:${Utils.toHex(id)}:${sBuf.length}b:${codec.name}] ${Utils.truncate(logString, 120)}`)
+
+      const { payload, flags } = this._compress(sBuf, msgType)
+      const frame = { type: msgType, id, kind, flags, data: payload }
+
+      // if message is not a reply, we want to wait for one, so we delay the resolve().
+      // register it right before writing, as the reply might arrive before writing is done
+      const onWrite = () => {
+        if (expectsReply) {
+          this._addPendingRequest(id, resolve, reject)
+        }
+      }
+
+      try {
+        await this._enqueue(frame, options, onWrite)
+        if (expectsReply) {
+          // writing large messages takes a while on slow lines, so the reply timeout starts once it's written
+          this._startReplyTimeout(id, options.timeout || this.options.replyTimeout)
+        } else {
+          resolve()
+        }
+      } catch (e) {
+        // replies carry the id of the remote side's request, which may match one of our own pending requests
+        if (expectsReply) {
+          this._removePendingRequest(id)
+        }
+        reject(e)
+      }
+    })
+  }
+
+  /**
+   * Indicates whether messages of a type are answered with a reply (or an error reply)
+   * @param {number} msgType
+   * @returns {boolean}
+   */
+  static expectsReply (msgType) {
+    const { NOTIFY, PING, PONG, REPLY } = SerialIO.MESSAGE_TYPE
+    return msgType < REPLY && msgType !== NOTIFY && msgType !== PING && msgType !== PONG
+  }
+
+  /**
+   * Creates a message buffer containing the message header and payload (see FrameEncoder.encode()).
+   * @param {Buffer} stringBuffer - string buffer of message payload
+   * @param  {number} msgType
+   * @param {number} [id] - request id, 0 if the message can't be replied to
+   * @param {number} [kind] - content kind of the payload
+   * @param {number} [flags] - frame flags, e.g. whether the payload is compressed
+   * @param {Authenticator} [authenticator] - authenticates the message with an HMAC, if set
+   * @returns {Buffer} - buffer containing message header & payload
+   */
+  static createMessageBuffer (stringBuffer, msgType, id = 0, kind = SerialIO.CONTENT_KIND.TEXT, flags = 0, authenticator = undefined) {
+    return FrameEncoder.encode(stringBuffer, msgType, id, kind, flags, authenticator)
+  }
+
+  /**
+   * Compresses a payload, if compression is enabled and has been agreed on in a handshake, the payload exceeds the
+   * compression threshold and compressing actually makes it smaller. Handshakes are never compressed.
+   * @param {Buffer} data - payload
+   * @param {number} msgType
+   * @returns {{payload: Buffer, flags: number}} payload to send and its frame flags
+   * @private
+   */
+  _compress (data, msgType) {
+    const { enabled, threshold, level } = this.options.compression
+    const agreed = this._capabilities !== undefined && this._capabilities.features.includes('compression')
+    if (!enabled || !agreed || data.length < threshold || msgType === SerialIO.MESSAGE_TYPE.HELLO) {
+      return { payload: data, flags: 0 }
+    }
+
+    const compressed = zlib.deflateRawSync(data, { level })
+    if (compressed.length >= data.length) {
+      this.d('compression skipped, %dB payload would grow to %dB', data.length, compressed.length)
+      return { payload: data, flags: 0 }
+    }
+
+    this.d('compressed %dB payload to %dB (%d%%)', data.length, compressed.length, Math.round(compressed.length / data.length * 100))
+    const stats = this._compressionStats.sent
+    stats.messages++
+    stats.originalBytes += data.length
+    stats.compressedBytes += compressed.length
+    return { payload: compressed, flags: SerialIO.FRAME_FLAG.COMPRESSED }
+  }
+
+  /**
+   * Decompresses the payload of a message in chunks, so decompressing stops as soon as the decompressed payload
+   * exceeds maxPayloadSize (e.g. for deflate bombs). Rejects with an error with code MESSAGE_TOO_LARGE then.
+   * @param {Message} msg - compressed message
+   * @returns {Promise<Buffer>}
+   * @private
+   */
+  _decompress (msg) {
+    const limit = this.options.maxPayloadSize
+    return new Promise((resolve, reject) => {
+      const inflate = zlib.createInflateRaw()
+      const chunks = []
+      let size = 0
+      inflate.on('data', (chunk) => {
+        size += chunk.length
+        if (size > limit) {
+          inflate.removeAllListeners('data')
+          inflate.destroy()
+          reject(Object.assign(new Error(`Decompressed payload exceeds the max payload size of ${limit}B`),
+            { code: 'MESSAGE_TOO_LARGE', size, limit }))
+          return
+        }
+        chunks.push(chunk)
+      })
+      inflate.on('error', reject)
+      inflate.on('end', () => {
+        const data = Buffer.concat(chunks, size)
+        this.d('decompressed %dB payload to %dB', msg.data.length, data.length)
+        const stats = this._compressionStats.received
+        stats.messages++
+        stats.originalBytes += data.length
+        stats.compressedBytes += msg.data.length
+        resolve(data)
+      })
+      inflate.end(msg.data)
+    })
+  }
+
+  /**
+   * Handles a message decoded by the parser. Compressed messages are decompressed asynchronously, and messages
+   * received in the meantime wait for them, so messages are always handled in the order they've been received.
+   * @param {Message} msg
+   * @private
+   */
+  _receive (msg) {
+    const compressed = (msg.flags & SerialIO.FRAME_FLAG.COMPRESSED) !== 0
+    if (!compressed && !this._decompressing) {
+      this._handleMessage(msg, msg.data)
+      return
+    }
+
+    const decompressing = (this._decompressing || Promise.resolve())
+      .then(() => compressed ? this._decompress(msg) : msg.data)
+      .then((data) => this._handleMessage(msg, data), (e) => {
+        this.d('decompressing payload failed: %s', e.message || e)
+        this._emit('parseError', e, msg.raw)
+      })
+      .then(() => {
+        if (this._decompressing === decompressing) {
+          this._decompressing = undefined
+        }
+      })
+    this._decompressing = decompressing
+  }
+
+  /**
+   * Handles incoming messages in the order they've been received (see _receive()).
+   * Parses them and calls callbacks subscribed to corresponding message type.
+   * @param {Message} msg - raw message string
+   * @param {Buffer} [data] - decompressed payload of compressed messages (default: msg.data)
+   * @private
+   */
+  _handleMessage (msg, data = msg.data) {
+    const codec = Codecs.get(msg.kind)
+    let rawString = ''
+    try {
+      rawString = codec && codec.text ? data.toString() : data.toString('hex')
+      const compressed = data === msg.data ? '' : ` (${msg.data.length}b compressed)`
+      this.d(`${this._portString} > [${Utils.toHex(msg.type)}:${Utils.toHex(msg.id)}:${data.length}b${compressed}] ${Utils.truncate(rawString, 120)}`)
+
+      let body
+      try {
+        body = this._decode(codec, msg.kind, data)
+      } catch (e) {
+        this._failUndecodable(msg, e)
+        throw e
+      }
+
+      if (msg.type >= SerialIO.MESSAGE_TYPE.REPLY) {
+        const reply = msg.type === SerialIO.MESSAGE_TYPE.ERROR ? RemoteError.fromJSON(Buffer.isBuffer(body) ? data.toString() : body) : body
+        if (msg.type === SerialIO.MESSAGE_TYPE.ERROR) {
+          this._stats.errorReplies++
+        }
+
+        const request = this._removePendingRequest(msg.id)
+        if (request) {
+          this._stats.observeRtt(Date.now() - request.sent)
+          this._emit('reply', reply, msg.id)
+          try {
+            if (msg.type === SerialIO.MESSAGE_TYPE.REPLY) {
+              request.resolve(reply)
+            } else if (msg.type === SerialIO.MESSAGE_TYPE.ERROR) {
+              request.reject(reply)
+            }
+          } catch (e) {
+            this.d('Error while resolving reply promise: %s', e.message || e)
+          }
+        } else {
+          this.d(`received reply for request %s no one is waiting for`, Utils.toHex(msg.id))
+          this._stats.unexpectedReplies++
+          this._emit('unexpectedReply', msg.id, reply)
+        }
+      } else if (msg.type === SerialIO.MESSAGE_TYPE.PING) {
+        this.send('', SerialIO.MESSAGE_TYPE.PONG, { id: msg.id }).catch((err) =>
+          this.d('sending pong failed: %s', err.message || err)
+        )
+      } else if (msg.type === SerialIO.MESSAGE_TYPE.PONG) {
+        this._handlePong(msg.id)
+      } else if (msg.type === SerialIO.MESSAGE_TYPE.HELLO) {
+        this._handleHello(msg.id, body)
+      } else if (msg.type === SerialIO.MESSAGE_TYPE.NOTIFY) {
+        if (this.listenerCount('notification') === 0) {
+          this.d('no notification listener to handle notification')
+        }
+        this._emit('notification', body)
+      } else if (msg.type === SerialIO.MESSAGE_TYPE.CALL) {
+        this._handleCall(msg.id, body)
+      } else if (msg.type >= SerialIO.MESSAGE_TYPE.STREAM_OPEN && msg.type <= SerialIO.MESSAGE_TYPE.STREAM_ABORT) {
+        this._replyWithHandler(msg.id, 'stream', (b) => this._handleStreamMessage(msg.type, b), body, { codec: 'text' })
+      } else {
+        // check if there is a message handler for this type
+        if (this._handlers.message) {
+          this._replyWithHandler(msg.id, 'message', this._handlers.message, body)
+        } else {
+          this.d('No message handler to handle message')
+          const noHandlerError = Object.assign(new Error('No message handler to handle message'), { code: 'NO_MESSAGE_HANDLER' })
+          this.sendErrorReply(noHandlerError, msg.id).catch((err) =>
+            this.d('sending missing message handler error as reply failed: %s', err.message || err)
+          )
+        }
+      }
+    } catch (e) {
+      this.d('Unable to handle data error: %s, data: %s', e.message || e, rawString)
+      this._emit('parseError', e, msg.raw)
+    }
+  }
+
+  /**
+   * Decodes a payload with the codec of its content kind. Throws an error with code UNKNOWN_CODEC if no codec is
+   * registered for the content kind, or DECODING_FAILED if the codec can't decode the payload.
+   * @param {Codec|undefined} codec - codec registered for the content kind
+   * @param {number} kind - content kind of the message
+   * @param {Buffer} data - (decompressed) payload
+   * @returns {*} body
+   * @private
+   */
+  _decode (codec, kind, data) {
+    if (!codec) {
+      throw Object.assign(new Error(`No codec registered for content kind ${Utils.toHex(kind)}`), { code: 'UNKNOWN_CODEC', kind })
+    }
+
+    try {
+      return codec.decode(data)
+    } catch (e) {
+      // text payloads that aren't JSON are plain strings, only payloads of the JSON codecs have to be JSON
+      if (codec.kind === SerialIO.CONTENT_KIND.JSON || codec.kind === SerialIO.CONTENT_KIND.EXTENDED_JSON) {
+        this._stats.jsonParseErrors++
+      }
+      throw Object.assign(new Error(`Decoding ${codec.name} payload failed: ${e.message || e}`), { code: 'DECODING_FAILED', cause: e })
+    }
+  }
+
+  /**
+   * Lets the remote side or the waiting request know that a message couldn't be decoded, instead of waiting for a
+   * timeout: requests get an error reply, and a request waiting for an undecodable reply fails.
+   * @param {Message} msg
+   * @param {Error} err - decoding error
+   * @private
+   */
+  _failUndecodable (msg, err) {
+    if (msg.type >= SerialIO.MESSAGE_TYPE.REPLY) {
+      const request = this._removePendingRequest(msg.id)
+      if (request) {
+        request.reject(err)
+      }
+    } else if (SerialIO.expectsReply(msg.type) && msg.id !== 0) {
+      this.sendErrorReply(err, msg.id).catch((e) =>
+        this.d('sending decoding error as reply failed: %s', e.message || e)
+      )
+    }
+  }
+
+  /**
+   * Routes a method call to its method handler, or replies with an error if there is none.
+   * @param {number} id - request id of the call
+   * @param {{method: string, params: *}} body - parsed message body
+   * @private
+   */
+  _handleCall (id, body) {
+    let err
+    if (body === null || typeof body !== 'object' || typeof body.method !== 'string') {
+      err = Object.assign(new Error('Invalid method call'), { code: 'INVALID_CALL' })
+    } else if (!this._methods.has(body.method)) {
+      err = Object.assign(new Error(`Unknown method: ${body.method}`), { code: 'METHOD_NOT_FOUND', method: body.method })
+    }
+
+    if (err) {
+      this.d('unable to route call: %s', err.message)
+      this.sendErrorReply(err, id).catch((e) =>
+        this.d('sending call routing error as reply failed: %s', e.message || e)
+      )
+      return
+    }
+
+    this.d('routing call of method %s', body.method)
+    this._replyWithHandler(id, `${body.method} method`, this._methods.get(body.method), body.params)
+  }
+
+  /**
+   * Handles a message of a stream transfer. Resolves once the message can be acknowledged, rejects if it's invalid.
+   * @param {number} type - one of the STREAM_X message types
+   * @param {Buffer|Object} body - parsed message body, chunks of data are binary
+   * @returns {Promise<string>} empty acknowledgement
+   * @private
+   */
+  async _handleStreamMessage (type, body) {
+    if (type === SerialIO.MESSAGE_TYPE.STREAM_DATA) {
+      if (!Buffer.isBuffer(body) || body.length < 8) {
+        throw Object.assign(new Error('Invalid stream chunk'), { code: 'INVALID_STREAM_MESSAGE' })
+      }
+
+      const stream = this._getIncomingStream(body.readUInt32BE(0))
+      const seq = body.readUInt32BE(4)
+      const isNew = seq === stream.chunks
+      await stream.pushChunk(seq, body.slice(8))
+      if (isNew) {
+        const { id: streamId, meta, chunks, bytes } = stream
+        this._emit('streamProgress', { streamId, direction: 'incoming', meta, chunks, bytes })
+      }
+      return ''
+    }
+
+    if (body === null || typeof body !== 'object' || !Number.isInteger(body.streamId)) {
+      throw Object.assign(new Error('Invalid stream message'), { code: 'INVALID_STREAM_MESSAGE' })
+    }
+
+    const { streamId } = body
+    if (type === SerialIO.MESSAGE_TYPE.STREAM_OPEN) {
+      if (this._incomingStreams.has(streamId)) {
+        this.d('stream %s has been opened already', Utils.toHex(streamId))
+      } else if (this.listenerCount('stream') === 0) {
+        throw Object.assign(new Error('No stream listener to receive stream'), { code: 'NO_STREAM_LISTENER' })
+      } else {
+        this.d('receiving stream %s', Utils.toHex(streamId))
+        const stream = new IncomingStream(streamId, body.meta, this.options.stream.idleTimeout)
+        this._incomingStreams.set(streamId, stream)
+        stream.once('expire', () => {
+          if (this._incomingStreams.get(streamId) === stream) {
+            this._incomingStreams.delete(streamId)
+          }
+        })
+        this._emit('stream', stream, body.meta)
+      }
+    } else if (type === SerialIO.MESSAGE_TYPE.STREAM_END) {
+      this.d('stream %s ended', Utils.toHex(streamId))
+      this._getIncomingStream(streamId).finish(body.chunks)
+    } else {
+      const stream = this._incomingStreams.get(streamId)
+      if (stream) {
+        this.d('stream %s aborted by sender', Utils.toHex(streamId))
+        this._incomingStreams.delete(streamId)
+        stream.abort(RemoteError.fromJSON(body.error))
+      }
+    }
+
+    return ''
+  }
+
+  /**
+   * Returns a stream received from the remote side, throws an error with code UNKNOWN_STREAM if there is none.
+   * @param {number} streamId
+   * @returns {IncomingStream}
+   * @private
+   */
+  _getIncomingStream (streamId) {
+    const stream = this._incomingStreams.get(streamId)
+    if (!stream) {
+      throw Object.assign(new Error(`Unknown stream: ${streamId}`), { code: 'UNKNOWN_STREAM', streamId })
+    }
+
+    return stream
   }
 
   /**
-   * Send an error reply
-   * @param {string|object|Error} body
-   * @returns {Promise<string>}
+   * Sends a message of a stream transfer, and sends it again if it hasn't been acknowledged.
+   * Error replies of the remote side are not retried, except for corrupted messages.
+   * @param {Buffer|Object} body
+   * @param {number} type - one of the STREAM_X message types
+   * @param {SendOptions} options
+   * @param {number} retries - max number of retries
+   * @param {number} retryDelay - time in ms to wait before the first retry, doubling with each further retry
+   * @returns {Promise<*>} acknowledgement
+   * @private
    */
-  sendErrorReply (body) {
-    return this.send(body, SerialIO.MESSAGE_TYPE.ERROR)
+  async _sendStreamMessage (body, type, options, retries, retryDelay) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(body, type, options)
+      } catch (e) {
+        const retryable = !(e instanceof RemoteError) || e.code === 'CORRUPTED_REQUEST'
+        if (!retryable || attempt >= retries) {
+          throw e
+        }
+        this.d('stream message not acknowledged: %s, retry %d of %d', e.message || e, attempt + 1, retries)
+        await this._waitBeforeRetry(retryDelay * Math.pow(2, attempt))
+      }
+    }
   }
 
   /**
-   * Sends a message over the serial bus. Returns a Promise that may resolve with a reply.
-   * @param {string|object} msgBody
-   * @param {number} msgType
-   * @returns {Promise<string>}
+   * Waits before retrying a stream message. While the port is being reopened, this also waits until it has been
+   * reopened or given up, but at most for stream.idleTimeout ms, after which the remote side drops the transfer anyway.
+   * @param {number} delay - time in ms to wait at least
+   * @returns {Promise<void>}
+   * @private
    */
-  send (msgBody = '', msgType = SerialIO.MESSAGE_TYPE.REQUEST) {
-    this.d(`send %s message, type %s`, typeof msgBody, Utils.toHex(msgType))
-    return new Promise(async (resolve, reject) => {
-      if (this.sending) {
-        return reject(new Error('Currently in sending state'))
+  async _waitBeforeRetry (delay) {
+    await new Promise(resolve => setTimeout(resolve, delay))
+    if (this.isOpen() || !this._reconnecting) {
+      return
+    }
+
+    this.d('waiting for the port to be reopened before retrying')
+    await new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timeout)
+        this.removeListener('open', done)
+        this.removeListener('reconnectFailed', done)
+        resolve()
       }
-      this.sending = true
+      const timeout = setTimeout(done, this.options.stream.idleTimeout)
+      this.once('open', done)
+      this.once('reconnectFailed', done)
+    })
+  }
 
-      // handle a few special message body cases, e.g. Error instances
-      let outString
-      if (msgBody instanceof Error) {
-        outString = msgBody.message
-      } else if (typeof msgBody !== 'string') {
-        try {
-          outString = JSON.stringify(msgBody)
-        } catch (e) {
-          this.d('msgBody is not a string, but can\'t be stringified by JSON: %s', e.message || e)
-          outString = msgBody.toString()
+  /**
+   * Calls a message or method handler and sends its result as reply, or the error it throws as error reply.
+   * @param {number} id - request id to reply to
+   * @param {string} name - handler name, for logging
+   * @param {function} handler
+   * @param {*} arg - argument passed to the handler
+   * @param {SendOptions} [options] - options of the reply, e.g. codec
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _replyWithHandler (id, name, handler, arg, options) {
+    try {
+      let reply = await handler(arg)
+      this.d('%s handler returned with reply', name)
+      this.sendReply(reply, id, options).catch((e) => {
+        this.d('sending reply failed: %s', e.message || e)
+        if (e.code === 'MESSAGE_TOO_LARGE' || e.code === 'ENCODING_FAILED') {
+          // let the requester know, instead of having it wait for a timeout
+          this.sendErrorReply(e, id).catch(
+            (err) => this.d('sending oversized reply error as reply failed: %s', err.message || err)
+          )
         }
-      } else {
-        outString = msgBody
+      })
+    } catch (e) {
+      this.d('error while calling %s handler', name)
+      this.sendErrorReply(e, id).catch(
+        (err) => this.d('sending %s handler error as reply failed: %s', name, err.message || err)
+      )
+    }
+  }
+
+  /**
+   * Handles corrupted messages from the parser. As the header might be corrupted too, the message id is only used
+   * as a best guess: a waiting request with this id fails right away and a requester gets an error reply,
+   * instead of both waiting for a timeout.
+   * @param {Message} msg - corrupted message
+   * @private
+   */
+  _handleCorruptedMessage (msg) {
+    this.d(`${this._portString} > corrupted message [${Utils.toHex(msg.type)}:${Utils.toHex(msg.id)}:${msg.data.length}b]`)
+
+    this._emit('corruptedFrame', msg.raw)
+
+    // the header of a corrupted message can't be authenticated, so it must not affect any request
+    if (this._authenticator) {
+      return
+    }
+
+    if (msg.type >= SerialIO.MESSAGE_TYPE.REPLY) {
+      const request = this._removePendingRequest(msg.id)
+      if (request) {
+        request.reject(new Error('Corrupted reply received'))
       }
+    } else if (SerialIO.expectsReply(msg.type) && msg.id !== 0) {
+      const corruptedError = Object.assign(new Error('Corrupted request received'), { code: 'CORRUPTED_REQUEST' })
+      this.sendErrorReply(corruptedError, msg.id).catch((err) =>
+        this.d('sending corrupted request error as reply failed: %s', err.message || err)
+      )
+    }
+  }
+
+  /**
+   * Handles 'close' events of serial ports and if they happen unexpectedly, tries to reopen the port.
+   * @param {Error} err - close event error message
+   * @private
+   */
+  _closeHandler (err) {
+    if (!this._closing && !this.options.reconnect.enabled) {
+      this.d('unexpected closing of port: %s, reconnecting is disabled', err.message || err)
+    } else if (!this._closing && this._reconnecting) {
+      this.d('closed port after a failed reopen attempt')
+    } else if (!this._closing) {
+      this.d('unexpected closing of port: %s', err.message || err)
+      this.cancelReconnect()
+      this._reconnecting = true
+      this._reopenAttempts = 0
+      this._reconnectStart = Date.now()
+      this._scheduleReconnect()
+    } else {
+      this.d('expected closing of port')
+    }
+  }
 
-      const sBuf = Buffer.from(outString)
-      this.d(`${this._portString} < [${Utils.toHex(msgType)}:${sBuf.length}b:${msgBody.constructor.name}] ${Utils.truncate(sBuf.toString(), 120)}`)
+  /**
+   * Schedules the next attempt to reopen the port, or gives up if the reconnect limits are reached.
+   * @param {Error} [lastError] - error of the previous attempt
+   * @private
+   */
+  _scheduleReconnect (lastError) {
+    const { maxAttempts, deadline } = this.options.reconnect
+    const remaining = deadline - (Date.now() - this._reconnectStart)
+    if (this._port && this._port.reopenable === false) {
+      this.d('giving up reopening port, the transport can\'t be reopened')
+      this._reconnecting = false
+      this._emit('reconnectFailed', this._reopenAttempts, lastError || new Error('Transport can\'t be reopened'))
+      return
+    }
+    if (this._reopenAttempts >= maxAttempts || remaining <= 0) {
+      this.d('giving up reopening port after %d attempts', this._reopenAttempts)
+      this._reconnecting = false
+      this._emit('reconnectFailed', this._reopenAttempts, lastError)
+      return
+    }
 
-      const msgBuf = SerialIO.createMessageBuffer(sBuf, msgType)
+    const attempt = this._reopenAttempts + 1
+    const delay = Math.min(this._reconnectDelay(attempt), remaining)
+    this.d('attempting to reopen port in %dms', delay)
+    this._emit('reconnecting', attempt, delay)
 
+    this._reconnectTimeout = setTimeout(async () => {
+      this._reconnectTimeout = undefined
+      this._reopenAttempts = attempt
+      this.d(`reopen attempt #${attempt}`)
       try {
-        await this._sendInParts(msgBuf)
-        // if message is not a reply, we want to wait for one, so we delay the resolve()
-        if (msgType < SerialIO.MESSAGE_TYPE.REPLY) {
-          this._replyPromise = { resolve, reject }
-          this._startReplyTimeout()
-        } else {
-          resolve()
+        await this.open()
+        if (!this._reconnecting) {
+          // reconnecting was cancelled while the port was being opened
+          this.d('reopen attempt successful, but reconnecting was cancelled in the meantime')
+          await this.close()
+          return
         }
+        this.d(`reopen attempt successful`)
+        this._reconnecting = false
+        this._stats.reconnects++
+        this._emit('reconnected', attempt)
       } catch (e) {
-        this.d('failed to send message in parts: %s', e.message || e)
-        reject(new Error('failed to send message'))
+        this.d('reopen attempt failed: %s', e.message || e)
+        // reconnecting might have been cancelled in the meantime
+        if (this._reconnecting) {
+          this._scheduleReconnect(e)
+        }
       }
-    })
+    }, delay)
   }
 
   /**
-   * Creates a message buffer containing the message header and payload
-   * @param {Buffer} stringBuffer - string buffer of message payload
-   * @param  {number} msgType
-   * @returns {Buffer} - buffer containing message header & payload
+   * Calculates the delay before a reopen attempt, based on the reconnect options
+   * @param {number} attempt - number of the attempt, starting at 1
+   * @returns {number} delay in ms
+   * @private
    */
-  static createMessageBuffer (stringBuffer, msgType) {
-    // alloc with 9 extra bytes, which are the start sequence and message information
-    const outBuff = Buffer.allocUnsafe(stringBuffer.length + 9)
-    Utils.START_SEQUENCE.copy(outBuff, 0) // start sequence
-    outBuff.writeUInt32BE(stringBuffer.length, 4) // message length
-    outBuff.writeUInt8(msgType, 8) // message type
-    stringBuffer.copy(outBuff, 9)
-    return outBuff
+  _reconnectDelay (attempt) {
+    const { interval, maxInterval, factor, jitter } = this.options.reconnect
+    const delay = Math.min(interval * Math.pow(factor, attempt - 1), maxInterval)
+    return Math.round(delay * (1 - jitter * Math.random()))
   }
 
   /**
-   * Handles incoming messages from parser event 'data'.
-   * Parses them and calls callbacks subscribed to corresponding message type.
-   * @param {Message} msg - raw message string
+   * Returns the handshake message of this side
+   * @returns {{versions: number[], features: string[]}}
+   * @private
+   */
+  _helloBody () {
+    return { versions: [SerialIO.PROTOCOL_VERSION], features: this.options.handshake.features || SerialIO.FEATURES }
+  }
+
+  /**
+   * Indicates whether a feature may be used. All features but compression may be used until a handshake took place.
+   * @param {string} feature
+   * @returns {boolean}
+   * @private
+   */
+  _supports (feature) {
+    return !this._capabilities || this._capabilities.features.includes(feature)
+  }
+
+  /**
+   * Shakes hands with the remote side. The handshake is sent again every handshake.retryInterval ms until it's
+   * answered, and also succeeds if the handshake of the remote side arrives first, e.g. because the remote side opened
+   * its port later. Rejects with a ProtocolMismatchError if there is no common protocol version, or with an error with
+   * code HANDSHAKE_FAILED if neither happens within handshake.timeout ms.
+   * @returns {Promise<void>}
    * @private
    */
-  _handleMessage (msg) {
-    const rawString = msg.data.toString()
+  async _handshake () {
+    this.d('shaking hands')
+    const waiter = {}
+    const remoteHello = new Promise((resolve, reject) => Object.assign(waiter, { resolve, reject }))
+    this._handshakeWaiter = waiter
+
+    let remote
     try {
-      this.d(`${this._portString} > [${Utils.toHex(msg.type)}:${msg.data.length}b] ${Utils.truncate(rawString, 120)}`)
+      // the capabilities have been negotiated and emitted by _handleHello() already if the remote side was first
+      remote = await Promise.race([this._sendHello(waiter), remoteHello.then(() => undefined)])
+    } catch (e) {
+      if (e instanceof RemoteError || e instanceof ProtocolMismatchError) {
+        throw e
+      }
+      // remote sides with an incompatible frame format don't even notice the handshake
+      throw Object.assign(new Error(`Handshake failed: ${e.message || e}, the remote side might use an incompatible protocol version`),
+        { code: 'HANDSHAKE_FAILED', cause: e })
+    } finally {
+      this._handshakeWaiter = undefined
+    }
+
+    if (remote !== undefined) {
+      this._emit('handshake', this._negotiate(remote))
+    }
+  }
 
-      let parsedMsg
+  /**
+   * Sends the handshake message of this side until it's answered, handshake.timeout ms have passed or the handshake
+   * is settled otherwise.
+   * @param {{resolve: function, reject: function}} waiter - waiter of the handshake
+   * @returns {Promise<{versions: number[], features: string[]}>} handshake message of the remote side
+   * @private
+   */
+  async _sendHello (waiter) {
+    const { timeout, retryInterval } = this.options.handshake
+    const deadline = Date.now() + timeout
+    for (;;) {
       try {
-        parsedMsg = JSON.parse(rawString)
+        const attemptTimeout = Math.max(1, Math.min(retryInterval, deadline - Date.now()))
+        return await this.send(this._helloBody(), SerialIO.MESSAGE_TYPE.HELLO, { timeout: attemptTimeout })
       } catch (e) {
-        this.d('message is not JSON. error: %s, raw: %s', e.message || e)
+        if (e instanceof RemoteError || Date.now() >= deadline || this._handshakeWaiter !== waiter) {
+          throw e
+        }
+        this.d('handshake not answered: %s, sending it again', e.message || e)
       }
+    }
+  }
 
-      if (msg.type >= SerialIO.MESSAGE_TYPE.REPLY) {
-        if (this._replyPromise) {
-          this._clearReplyTimeout()
-          try {
-            if (msg.type === SerialIO.MESSAGE_TYPE.REPLY) {
-              this._replyPromise.resolve(parsedMsg || rawString)
-            } else if (msg.type === SerialIO.MESSAGE_TYPE.ERROR) {
-              this._replyPromise.reject(new Error(rawString))
-            }
-          } catch (e) {
-            this.d('Error while resolving reply promise: %s', e.message || e)
-          } finally {
-            // delete entry after resolving
-            this._replyPromise = undefined
-          }
-        } else {
-          this.d(`received reply no one is waiting for`)
-        }
-      } else {
-        // check if there is a message handler for this type
-        if (this._handlers.message) {
-          (async () => {
-            try {
-              let reply = await this._handlers.message(parsedMsg || rawString)
-              this.d('message handler returned with reply')
-              this.sendReply(reply).catch(
-                e => this.d('sending reply failed: %s', e.message || e)
-              )
-            } catch (e) {
-              this.d('error while calling message handler')
-              this.sendErrorReply(e).catch(
-                (err) => this.d('sending message handler error as reply failed: %s', err.message || err)
-              )
-            }
-          })()
-        } else {
-          this.d('No message handler to handle message')
-          this.sendErrorReply('No message handler to handle message').catch((err) =>
-            this.d('sending missing message handler error as reply failed: %s', err.message || err)
-          )
-        }
+  /**
+   * Answers the handshake of the remote side with the handshake message of this side, and agrees on the capabilities
+   * as well. Settles a pending handshake of this side, otherwise emits an 'error' if there is no common protocol
+   * version.
+   * @param {number} id - request id of the handshake
+   * @param {{versions: number[], features: string[]}} remote - handshake message of the remote side
+   * @private
+   */
+  _handleHello (id, remote) {
+    // the capabilities are negotiated again, so the reply isn't compressed before the remote side agreed to it
+    this._capabilities = undefined
+    this.sendReply(this._helloBody(), id, { codec: 'text' }).catch((err) =>
+      this.d('sending handshake reply failed: %s', err.message || err)
+    )
+
+    const waiter = this._handshakeWaiter
+    try {
+      const capabilities = this._negotiate(remote)
+      this._emit('handshake', capabilities)
+      if (waiter) {
+        waiter.resolve()
       }
     } catch (e) {
-      this.d('Unable to handle data error: %s, data: %s', e.message || e, rawString)
+      this.d('handshake of remote side failed: %s', e.message)
+      if (waiter) {
+        waiter.reject(e)
+      } else {
+        this._emit('error', e)
+      }
     }
   }
 
   /**
-   * Handles 'close' events of serial ports and if they happen unexpectedly, tries to reopen the port.
-   * @param {Error} err - close event error message
+   * Agrees on the highest common protocol version and the features supported by both sides
+   * @param {{versions: number[], features: string[]}} remote - handshake message of the remote side
+   * @returns {{version: number, features: string[]}} capabilities
    * @private
    */
-  _closeHandler (err) {
-    if (!this._closing) {
-      this.d('unexpected closing of port: %s', err.message || err)
-      this._reopenAttempts = 0
-      const connect = () => {
-        this.d('attempting to reopen port in 1s')
-        setTimeout(async () => {
-          this.d(`reopen attempt #${this._reopenAttempts++}`)
-          try {
-            await this.open()
-            this.d(`reopen attempt successful`)
-          } catch (e) {
-            this.d('reopen attempt failed: %s', e.message || e)
-            connect()
-          }
-        }, 1000)
+  _negotiate (remote) {
+    const local = this._helloBody()
+    const remoteVersions = remote && Array.isArray(remote.versions) ? remote.versions : []
+    const versions = local.versions.filter(v => remoteVersions.includes(v))
+    if (versions.length === 0) {
+      throw new ProtocolMismatchError(
+        `No common protocol version (local: ${local.versions.join(', ')}, remote: ${remoteVersions.join(', ') || 'none'})`,
+        local.versions, remoteVersions)
+    }
+
+    const remoteFeatures = Array.isArray(remote.features) ? remote.features : []
+    this._capabilities = {
+      version: Math.max(...versions),
+      features: local.features.filter(f => remoteFeatures.includes(f))
+    }
+    this.d('agreed on protocol version %d, features: %s', this._capabilities.version, this._capabilities.features.join(', '))
+    return this._capabilities
+  }
+
+  /**
+   * Starts sending heartbeats, if they're enabled. The link is considered up at start.
+   * @private
+   */
+  _startHeartbeat () {
+    this._stopHeartbeat()
+    if (!this.options.heartbeat.enabled) {
+      return
+    }
+
+    this.d('starting heartbeat every %d ms', this.options.heartbeat.interval)
+    this._heartbeat.missed = 0
+    this._heartbeat.linkUp = true
+    this._heartbeat.timer = setInterval(() => this._beat(), this.options.heartbeat.interval)
+  }
+
+  /**
+   * Stops sending heartbeats
+   * @private
+   */
+  _stopHeartbeat () {
+    clearInterval(this._heartbeat.timer)
+    this._heartbeat.timer = undefined
+    this._heartbeat.pending.clear()
+  }
+
+  /**
+   * Counts an unanswered previous heartbeat as missed and sends the next one.
+   * Emits 'linkDown' once heartbeat.maxMissed heartbeats in a row have been missed.
+   * @private
+   */
+  _beat () {
+    const heartbeat = this._heartbeat
+    if (heartbeat.pending.size > 0) {
+      heartbeat.pending.clear()
+      heartbeat.missed++
+      this.d('heartbeat missed (%d in a row)', heartbeat.missed)
+      if (heartbeat.linkUp && heartbeat.missed >= this.options.heartbeat.maxMissed) {
+        heartbeat.linkUp = false
+        this.d('link down')
+        this._emit('linkDown', heartbeat.missed)
       }
-      connect()
-    } else {
-      this.d('expected closing of port')
     }
+
+    if (!this._supports('heartbeat')) {
+      return
+    }
+
+    const id = heartbeat.lastPingId = (heartbeat.lastPingId % 0xffffffff) + 1
+    heartbeat.pending.set(id, Date.now())
+    this.send('', SerialIO.MESSAGE_TYPE.PING, { id }).catch((err) =>
+      this.d('sending ping failed: %s', err.message || err)
+    )
+  }
+
+  /**
+   * Handles a pong answering a heartbeat: updates the latency and emits 'linkUp' if the link has been down.
+   * @param {number} id - id of the answered ping
+   * @private
+   */
+  _handlePong (id) {
+    const heartbeat = this._heartbeat
+    const sent = heartbeat.pending.get(id)
+    if (sent === undefined) {
+      this.d('received pong for ping %s no one is waiting for', Utils.toHex(id))
+      return
+    }
+
+    heartbeat.pending.clear()
+    heartbeat.latency = Date.now() - sent
+    heartbeat.missed = 0
+    this._emit('heartbeat', heartbeat.latency)
+    if (!heartbeat.linkUp) {
+      heartbeat.linkUp = true
+      this.d('link up')
+      this._emit('linkUp', heartbeat.latency)
+    }
+  }
+
+  /**
+   * Emits an event. Does not throw an error, neither for errors thrown by listeners nor for 'error' events without
+   * listeners.
+   * @param {string} name - event name
+   * @param {...*} args
+   * @private
+   */
+  _emit (name, ...args) {
+    if (name === 'error' && this.listenerCount('error') === 0) {
+      this.d('no listener for error event')
+      return
+    }
+
+    try { this.emit(name, ...args) } catch (e) { this.d('%s listener returned with error: %s', name, e.message || e) }
+  }
+
+  /**
+   * Replaces the listener set by the onX() method of the specified event, leaving other listeners untouched.
+   * @param {string} name - event name
+   * @param {function} handler
+   * @private
+   */
+  _setListener (name, handler) {
+    if (this._handlers[name]) {
+      this.removeListener(name, this._handlers[name])
+    }
+
+    this._handlers[name] = handler
+    if (handler) {
+      this.on(name, handler)
+    }
+  }
+
+  /**
+   * Adds a message to the send queue. Resolves once the message has been written to the port.
+   * @param {Frame} frame - message frame, encoded right before it's written
+   * @param {SendOptions} options - per-call options
+   * @param {function} onWrite - called right before the message is written
+   * @returns {Promise<void>}
+   * @private
+   */
+  _enqueue (frame, options, onWrite) {
+    return new Promise((resolve, reject) => {
+      const { maxSize } = this.options.queue
+      if (this._queue.length >= maxSize) {
+        this.d('send queue is full, rejecting message')
+        reject(Object.assign(new Error(`Send queue is full (max. ${maxSize} messages)`), { code: 'QUEUE_FULL' }))
+        return
+      }
+
+      const entry = { frame, chunkSize: options.chunkSize || this.options.chunkSize, onWrite, resolve, reject }
+      const timeout = options.queueTimeout || this.options.queue.timeout
+      if (timeout !== Infinity) {
+        entry.timeout = setTimeout(() => {
+          this._queue.splice(this._queue.indexOf(entry), 1)
+          this.d('message timed out in send queue')
+          reject(Object.assign(new Error('Timeout reached while waiting in send queue'), { code: 'QUEUE_TIMEOUT' }))
+        }, timeout)
+      }
+
+      this._queue.push(entry)
+      this.d('queued message, queue length: %d', this._queue.length)
+      this._processQueue()
+    })
+  }
+
+  /**
+   * Writes the queued messages to the port, one after another.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _processQueue () {
+    if (this.sending) return
+
+    const entry = this._queue.shift()
+    if (!entry) return
+
+    clearTimeout(entry.timeout)
+    this.sending = true
+    try {
+      entry.onWrite()
+      const buffer = await this._encodeFrame(entry.frame)
+      await this._sendInParts(buffer, 0, entry.chunkSize)
+      this._stats.sent.frames++
+      this._stats.sent.bytes += buffer.length
+      entry.resolve()
+    } catch (e) {
+      this.d('failed to send message in parts: %s', e.message || e)
+      entry.reject(new Error('failed to send message'))
+    } finally {
+      this.sending = false
+    }
+
+    this._processQueue()
+  }
+
+  /**
+   * Encodes a frame with the frame encoder. Frames are encoded one at a time, so the next chunk of the encoder is the
+   * encoded frame. Encoding in the queue also keeps the nonces of authenticated frames in the order they're written.
+   * @param {Frame} frame
+   * @returns {Promise<Buffer>} message buffer
+   * @private
+   */
+  _encodeFrame (frame) {
+    const encoder = this._encoder
+    return new Promise((resolve, reject) => {
+      const onData = (buffer) => {
+        encoder.removeListener('error', onError)
+        resolve(buffer)
+      }
+      const onError = (err) => {
+        encoder.removeListener('data', onData)
+        // failing transforms destroy the encoder, later frames get a new one
+        this._encoder = new FrameEncoder({ authenticator: this._authenticator })
+        reject(err)
+      }
+      encoder.once('data', onData)
+      encoder.once('error', onError)
+      encoder.write(frame)
+    })
   }
 
   /**
@@ -412,11 +2057,12 @@ class SerialIO {
    * to workaround a bug of losing data when sending large payloads.
    * @param {Buffer} buffer
    * @param {number} from
+   * @param {number} chunkSize - max size of a single write
    * @private
    */
-  async _sendInParts (buffer, from = 0) {
+  async _sendInParts (buffer, from = 0, chunkSize = this.options.chunkSize) {
     this.d('sendInParts', buffer.length, from, buffer.length - from)
-    const partSize = Math.min(1024 * 64, buffer.length)
+    const partSize = Math.min(chunkSize, buffer.length)
     const partBuf = Buffer.allocUnsafe(Math.min(partSize, buffer.length - from))
     buffer.copy(partBuf, 0, from, from + partBuf.length)
 
@@ -424,13 +2070,13 @@ class SerialIO {
       await this._writeAndDrain(partBuf)
 
       if (buffer.length !== from + partBuf.length) {
-        await this._sendInParts(buffer, from + partSize)
+        await this._sendInParts(buffer, from + partSize, chunkSize)
       } else {
         this.d('sendInParts DONE')
-        this.sending = false
       }
     } catch (e) {
       this.d('sendInParts error on writeAndDrain: %s', e.message || e)
+      throw e
     }
   }
 
@@ -442,6 +2088,10 @@ class SerialIO {
    */
   _writeAndDrain (data) {
     this.d('writeAndDrain', data.length)
+    if (this._capture) {
+      this._capture.record('out', data)
+    }
+
     return new Promise((resolve, reject) => {
       // write...
       this._port.write(data, undefined, (err) => {
@@ -466,35 +2116,90 @@ class SerialIO {
   }
 
   /**
-   * (Re-)starts the reply timeout. After a timeout the replyPromise is rejected
+   * Returns the next free request id. Ids are unsigned 32 bit integers, 0 is reserved for messages without id.
+   * @returns {number}
    * @private
    */
-  _startReplyTimeout () {
-    // clear potentially existing timeout
-    this._clearReplyTimeout()
+  _nextRequestId () {
+    do {
+      this._lastRequestId = (this._lastRequestId % 0xffffffff) + 1
+    } while (this._isRequestIdTaken(this._lastRequestId))
 
-    // only start it if a reply promise exists
-    if (this._replyPromise) {
-      this._replyTimeout = setTimeout(() => {
-        if (this._replyPromise) {
-          this._replyPromise.reject(new Error('Timeout reached'))
-        } else {
-          this.d('no reply promise to timeout')
-        }
-      }, SerialIO.REPLY_TIMEOUT)
+    return this._lastRequestId
+  }
+
+  /**
+   * Indicates whether a request with the id is waiting for a reply, or waiting in the send queue to be sent
+   * @param {number} id
+   * @returns {boolean}
+   * @private
+   */
+  _isRequestIdTaken (id) {
+    return this._pendingRequests.has(id) ||
+      this._queue.some(entry => entry.frame.id === id && SerialIO.expectsReply(entry.frame.type))
+  }
+
+  /**
+   * Returns the next stream id. Ids are unsigned 32 bit integers, starting at 1.
+   * @returns {number}
+   * @private
+   */
+  _nextStreamId () {
+    this._lastStreamId = (this._lastStreamId % 0xffffffff) + 1
+    return this._lastStreamId
+  }
+
+  /**
+   * Registers a request waiting for a reply. Its reply timeout is started separately, see _startReplyTimeout().
+   * @param {number} id
+   * @param {function} resolve
+   * @param {function} reject
+   * @private
+   */
+  _addPendingRequest (id, resolve, reject) {
+    this._pendingRequests.set(id, { resolve, reject, timeout: undefined, sent: Date.now() })
+  }
+
+  /**
+   * Starts the reply timeout of a pending request, if it's still waiting for a reply. After a timeout the request is
+   * rejected.
+   * @param {number} id
+   * @param {number} replyTimeout - time in ms to wait for the reply
+   * @private
+   */
+  _startReplyTimeout (id, replyTimeout) {
+    const request = this._pendingRequests.get(id)
+    if (!request) {
+      this.d('request %s has been answered while writing it', Utils.toHex(id))
+      return
     }
+
+    request.timeout = setTimeout(() => {
+      if (this._removePendingRequest(id)) {
+        this.d('request %s timed out', Utils.toHex(id))
+        this._stats.timeouts++
+        this._emit('timeout', id)
+        request.reject(new Error('Timeout reached'))
+      } else {
+        this.d('no pending request %s to timeout', Utils.toHex(id))
+      }
+    }, replyTimeout)
   }
 
   /**
-   * Clears an existing reply timeout.
+   * Removes a pending request and clears its reply timeout.
+   * @param {number} id
+   * @returns {{resolve: function, reject: function}|undefined} the removed request, if there was one
    * @private
    */
-  _clearReplyTimeout () {
-    if (this._replyTimeout) {
-      clearTimeout(this._replyTimeout)
+  _removePendingRequest (id) {
+    const request = this._pendingRequests.get(id)
+    if (request) {
+      clearTimeout(request.timeout)
+      this._pendingRequests.delete(id)
     }
 
-    this._replyTimeout = undefined
+    return request
   }
 }
 
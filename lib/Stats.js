@@ -0,0 +1,192 @@
+/**
+ * Upper bounds in ms of the buckets of the round trip time histogram
+ * @type {number[]}
+ */
+const rttBuckets = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+
+/**
+ * Bytes and frames transferred in one direction
+ *
+ * @typedef {Object} TrafficCounters
+ * @property {number} bytes - bytes written to or read from the port, including headers and dropped data
+ * @property {number} frames - messages written to the port or parsed successfully
+ */
+
+/**
+ * Histogram of the time between sending requests and receiving their replies (or error replies)
+ *
+ * @typedef {Object} RttHistogram
+ * @property {Array<{le: number, count: number}>} buckets - number of replies received within le ms (cumulative,
+ * the last bucket has le = Infinity)
+ * @property {number} count - number of replies
+ * @property {number} sum - sum of all round trip times in ms
+ */
+
+/**
+ * Snapshot of the statistics of a SerialIO instance (see SerialIO.getStats())
+ *
+ * @typedef {Object} StatsSnapshot
+ * @property {number} since - time (ms since epoch) the statistics were created or reset at
+ * @property {TrafficCounters} sent
+ * @property {TrafficCounters} received
+ * @property {number} droppedBytes - received bytes that weren't part of any message (garbage)
+ * @property {number} incompleteFrames - messages discarded because they ended before their payload was complete
+ * @property {number} corruptedFrames - messages with wrong checksum
+ * @property {number} oversizedFrames - messages exceeding the max payload or buffer size
+ * @property {number} securityErrors - messages failing authentication
+ * @property {number} jsonParseErrors - payloads of the json and extended-json codecs that aren't JSON
+ * @property {number} timeouts - requests that didn't get a reply in time
+ * @property {number} errorReplies - error replies received
+ * @property {number} unexpectedReplies - replies no request was waiting for
+ * @property {number} reconnects - successful reconnects after the port has been closed unexpectedly
+ * @property {RttHistogram} rtt
+ * @property {{sent: CompressionCounters, received: CompressionCounters}} [compression] - see SerialIO.compressionStats
+ * @property {number} [latency] - latest heartbeat round trip time in ms, see SerialIO.latency
+ */
+
+/**
+ * Counters and round trip time histogram of a SerialIO instance
+ */
+class Stats {
+  constructor () {
+    this.reset()
+  }
+
+  /**
+   * Upper bounds in ms of the buckets of the round trip time histogram
+   * @returns {number[]}
+   * @constructor
+   */
+  static get RTT_BUCKETS () {
+    return rttBuckets
+  }
+
+  /**
+   * Resets all counters and the histogram
+   */
+  reset () {
+    /** @type {number} */
+    this.since = Date.now()
+    this.sent = { bytes: 0, frames: 0 }
+    this.received = { bytes: 0, frames: 0 }
+    this.droppedBytes = 0
+    this.incompleteFrames = 0
+    this.corruptedFrames = 0
+    this.oversizedFrames = 0
+    this.securityErrors = 0
+    this.jsonParseErrors = 0
+    this.timeouts = 0
+    this.errorReplies = 0
+    this.unexpectedReplies = 0
+    this.reconnects = 0
+
+    /**
+     * Number of round trips per bucket (not cumulative), the last one counts round trips above all bounds
+     * @type {number[]}
+     * @private
+     */
+    this._rttCounts = new Array(rttBuckets.length + 1).fill(0)
+    this._rttSum = 0
+  }
+
+  /**
+   * Adds a round trip time to the histogram
+   * @param {number} ms
+   */
+  observeRtt (ms) {
+    const bucket = rttBuckets.findIndex(le => ms <= le)
+    this._rttCounts[bucket === -1 ? rttBuckets.length : bucket]++
+    this._rttSum += ms
+  }
+
+  /**
+   * Returns a copy of the current statistics
+   * @returns {StatsSnapshot}
+   */
+  snapshot () {
+    let count = 0
+    const buckets = this._rttCounts.map((n, i) => {
+      count += n
+      return { le: i < rttBuckets.length ? rttBuckets[i] : Infinity, count }
+    })
+
+    return {
+      since: this.since,
+      sent: Object.assign({}, this.sent),
+      received: Object.assign({}, this.received),
+      droppedBytes: this.droppedBytes,
+      incompleteFrames: this.incompleteFrames,
+      corruptedFrames: this.corruptedFrames,
+      oversizedFrames: this.oversizedFrames,
+      securityErrors: this.securityErrors,
+      jsonParseErrors: this.jsonParseErrors,
+      timeouts: this.timeouts,
+      errorReplies: this.errorReplies,
+      unexpectedReplies: this.unexpectedReplies,
+      reconnects: this.reconnects,
+      rtt: { buckets, count, sum: this._rttSum }
+    }
+  }
+
+  /**
+   * Formats a snapshot in the Prometheus text exposition format
+   * @param {StatsSnapshot} snapshot
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - prefix of all metric names (default: 'serialio')
+   * @param {Object<string, string>} [options.labels] - labels added to all metrics, e.g. {port: '/dev/ttyUSB0'}
+   * @returns {string}
+   */
+  static toPrometheus (snapshot, { prefix = 'serialio', labels = {} } = {}) {
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+    const format = (extra = {}) => {
+      const all = Object.assign({}, labels, extra)
+      const names = Object.keys(all)
+      return names.length === 0 ? '' : `{${names.map(name => `${name}="${escape(all[name])}"`).join(',')}}`
+    }
+
+    const lines = []
+    const counter = (name, help, samples) => {
+      lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} counter`)
+      samples.forEach(([extra, value]) => lines.push(`${prefix}_${name}${format(extra)} ${value}`))
+    }
+
+    const direction = (key) => [[{ direction: 'sent' }, snapshot.sent[key]], [{ direction: 'received' }, snapshot.received[key]]]
+    counter('bytes_total', 'Bytes written to or read from the port', direction('bytes'))
+    counter('frames_total', 'Messages written to the port or parsed successfully', direction('frames'))
+    counter('dropped_bytes_total', 'Received bytes that were not part of any message', [[{}, snapshot.droppedBytes]])
+    counter('dropped_frames_total', 'Received messages that were dropped', [
+      [{ reason: 'incomplete' }, snapshot.incompleteFrames],
+      [{ reason: 'corrupted' }, snapshot.corruptedFrames],
+      [{ reason: 'oversized' }, snapshot.oversizedFrames],
+      [{ reason: 'security' }, snapshot.securityErrors]
+    ])
+    counter('json_parse_errors_total', 'JSON and extended JSON payloads that are not JSON', [[{}, snapshot.jsonParseErrors]])
+    counter('timeouts_total', 'Requests without reply in time', [[{}, snapshot.timeouts]])
+    counter('error_replies_total', 'Error replies received', [[{}, snapshot.errorReplies]])
+    counter('unexpected_replies_total', 'Replies no request was waiting for', [[{}, snapshot.unexpectedReplies]])
+    counter('reconnects_total', 'Reconnects after the port has been closed unexpectedly', [[{}, snapshot.reconnects]])
+
+    lines.push(`# HELP ${prefix}_rtt_milliseconds Time between sending requests and receiving their replies`,
+      `# TYPE ${prefix}_rtt_milliseconds histogram`)
+    snapshot.rtt.buckets.forEach(({ le, count }) =>
+      lines.push(`${prefix}_rtt_milliseconds_bucket${format({ le: le === Infinity ? '+Inf' : le })} ${count}`))
+    lines.push(`${prefix}_rtt_milliseconds_sum${format()} ${snapshot.rtt.sum}`)
+    lines.push(`${prefix}_rtt_milliseconds_count${format()} ${snapshot.rtt.count}`)
+
+    if (snapshot.compression) {
+      const { sent, received } = snapshot.compression
+      counter('compressed_frames_total', 'Compressed messages', [[{ direction: 'sent' }, sent.messages], [{ direction: 'received' }, received.messages]])
+      counter('compression_saved_bytes_total', 'Payload bytes saved by compression',
+        [[{ direction: 'sent' }, sent.savedBytes], [{ direction: 'received' }, received.savedBytes]])
+    }
+
+    if (snapshot.latency !== undefined) {
+      lines.push(`# HELP ${prefix}_latency_milliseconds Latest heartbeat round trip time`,
+        `# TYPE ${prefix}_latency_milliseconds gauge`, `${prefix}_latency_milliseconds${format()} ${snapshot.latency}`)
+    }
+
+    return lines.join('\n') + '\n'
+  }
+}
+
+module.exports = Stats
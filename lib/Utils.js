@@ -4,6 +4,38 @@ startSequence.writeUInt32BE(0xf000000f, 0)
 
 const truncDelimiter = '…'
 
+/**
+ * Escape byte for byte stuffing, i.e. the first byte of the start sequence
+ * @type {number}
+ */
+const escapeByte = 0xf0
+
+/**
+ * Byte following each escape byte in stuffed data. Any other byte following an escape byte can't be part of
+ * stuffed data, which means the start sequence can't appear within stuffed data.
+ * @type {number}
+ */
+const stuffByte = 0xff
+
+/** @type {Buffer} */
+const escapeBuffer = Buffer.from([escapeByte])
+
+/** @type {Buffer} */
+const escapeSequence = Buffer.from([escapeByte, stuffByte])
+
+/**
+ * Lookup table for CRC-32 (IEEE 802.3, reversed polynomial 0xedb88320)
+ * @type {Int32Array}
+ */
+const crcTable = new Int32Array(256)
+for (let n = 0; n < 256; n++) {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  crcTable[n] = c
+}
+
 class Utils {
   /**
    * Converts a number into its hex representation as string
@@ -23,6 +55,142 @@ class Utils {
     return startSequence
   }
 
+  /**
+   * Size of the message header in bytes: 4b start sequence, 4b payload length, 1b message type, 4b request id,
+   * 1b content kind, 4b checksum
+   * @returns {number}
+   * @constructor
+   */
+  static get HEADER_SIZE () {
+    return 18
+  }
+
+  /**
+   * Mask of the content kind within the content kind byte of the header. The remaining (high) bits are frame flags.
+   * @returns {number}
+   * @constructor
+   */
+  static get KIND_MASK () {
+    return 0x3f
+  }
+
+  /**
+   * Frame flags, sent in the high bits of the content kind byte.
+   * COMPRESSED payloads are deflated, AUTHENTICATED payloads are wrapped in a nonce, a sender id and an HMAC
+   * (see Authenticator).
+   * @returns {{COMPRESSED: number, AUTHENTICATED: number}}
+   * @constructor
+   */
+  static get FRAME_FLAG () {
+    return {
+      COMPRESSED: 0x80,
+      AUTHENTICATED: 0x40
+    }
+  }
+
+  /**
+   * Offset of the checksum within the message header
+   * @returns {number}
+   * @constructor
+   */
+  static get CHECKSUM_OFFSET () {
+    return 14
+  }
+
+  /**
+   * Calculates the CRC-32 checksum of a buffer. Can be chained to checksum data spread over multiple buffers.
+   * @param {Buffer} buf
+   * @param {number} [crc] - checksum of the preceding data
+   * @returns {number} unsigned 32 bit checksum
+   */
+  static crc32 (buf, crc = 0) {
+    let c = ~crc
+    for (let i = 0; i < buf.length; i++) {
+      c = crcTable[(c ^ buf[i]) & 0xff] ^ (c >>> 8)
+    }
+    return ~c >>> 0
+  }
+
+  /**
+   * Calculates the checksum of a raw message, which covers everything but the start sequence and the checksum itself
+   * @param {Buffer} raw - raw message, i.e. start sequence starts at index 0
+   * @returns {number}
+   */
+  static messageChecksum (raw) {
+    const crc = Utils.crc32(raw.slice(Utils.START_SEQUENCE.length, Utils.CHECKSUM_OFFSET))
+    return Utils.crc32(raw.slice(Utils.HEADER_SIZE), crc)
+  }
+
+  /**
+   * Escapes a buffer by appending a stuff byte to each escape byte (0xf0 -> 0xf0 0xff),
+   * so it can't contain the start sequence anymore
+   * @param {Buffer} buf
+   * @returns {Buffer} stuffed buffer, or the buffer itself if it contains nothing to escape
+   */
+  static stuff (buf) {
+    let pos = buf.indexOf(escapeByte)
+    if (pos === -1) return buf
+
+    const parts = []
+    let from = 0
+    while (pos !== -1) {
+      parts.push(buf.slice(from, pos), escapeSequence)
+      from = pos + 1
+      pos = buf.indexOf(escapeByte, from)
+    }
+    parts.push(buf.slice(from))
+
+    return Buffer.concat(parts)
+  }
+
+  /**
+   * Result of unstuffing a buffer
+   *
+   * @typedef {Object} UnstuffResult
+   * @property {Buffer} data - unstuffed data
+   * @property {number} consumed - number of stuffed bytes that have been unstuffed
+   * @property {boolean} invalid - whether unstuffing stopped at an escape byte without stuff byte, i.e. at data
+   * that can't be stuffed data (most likely the start of a new message)
+   */
+
+  /**
+   * Reverts stuff(). Stops if enough bytes were unstuffed, if the data ends or if invalid data was found.
+   * A trailing escape byte is not consumed, as the byte following it is still missing.
+   * @param {Buffer} buf - stuffed data
+   * @param {number} [offset] - index to start unstuffing at
+   * @param {number} [maxLength] - max number of bytes to unstuff
+   * @returns {UnstuffResult}
+   */
+  static unstuff (buf, offset = 0, maxLength = Infinity) {
+    const parts = []
+    let length = 0
+    let pos = offset
+    let invalid = false
+
+    while (length < maxLength && pos < buf.length) {
+      const next = buf.indexOf(escapeByte, pos)
+      const end = Math.min(next === -1 ? buf.length : next, pos + maxLength - length)
+      if (end > pos) {
+        // copy everything up to the next escape byte
+        parts.push(buf.slice(pos, end))
+        length += end - pos
+        pos = end
+      } else if (pos + 1 >= buf.length) {
+        // escape byte is the last byte, wait for the stuff byte
+        break
+      } else if (buf[pos + 1] !== stuffByte) {
+        invalid = true
+        break
+      } else {
+        parts.push(escapeBuffer)
+        length++
+        pos += 2
+      }
+    }
+
+    return { data: Buffer.concat(parts, length), consumed: pos - offset, invalid }
+  }
+
   /**
    * Truncates a string to a max length. returns start & end of a string, with dots in between.
    * @param {string} str - string to be truncated
@@ -32,6 +200,62 @@ class Utils {
   static truncate (str, mL = 100) {
     return str.length <= mL ? str : str.slice(0, Math.floor(mL / 2)) + truncDelimiter + str.slice(1 - Math.ceil(mL / 2))
   }
+
+  /**
+   * Reads a readable stream in chunks of a max size. Works with Buffer, string and object mode streams.
+   * @param {Readable} readable
+   * @param {number} size - max size of a chunk in bytes
+   * @returns {{read: function(): Promise<Buffer|null>, release: function(): void}} read() resolves with the next
+   * chunk, or null at the end of the stream. release() removes the listeners from the stream.
+   */
+  static chunkReader (readable, size) {
+    let ended = false
+    let error
+    let rest = null
+    let wake = () => {}
+
+    const onReadable = () => wake()
+    const onEnd = () => {
+      ended = true
+      wake()
+    }
+    const onError = (err) => {
+      error = err
+      wake()
+    }
+    readable.on('readable', onReadable)
+    readable.on('end', onEnd)
+    readable.on('error', onError)
+
+    const read = async () => {
+      while (rest === null) {
+        if (error) {
+          throw error
+        }
+
+        const chunk = readable.read(size)
+        if (chunk !== null) {
+          rest = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)
+        } else if (ended) {
+          return null
+        } else {
+          await new Promise(resolve => { wake = resolve })
+        }
+      }
+
+      const chunk = rest.slice(0, size)
+      rest = rest.length > size ? rest.slice(size) : null
+      return chunk.length > 0 ? chunk : read()
+    }
+
+    const release = () => {
+      readable.removeListener('readable', onReadable)
+      readable.removeListener('end', onEnd)
+      readable.removeListener('error', onError)
+    }
+
+    return { read, release }
+  }
 }
 
 module.exports = Utils
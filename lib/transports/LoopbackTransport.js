@@ -0,0 +1,225 @@
+const EventEmitter = require('events')
+const Options = require('../Options')
+
+/**
+ * In-memory transport, connected to a peer transport (see LoopbackTransport.createPair()).
+ * Like a serial line, data written while the peer is closed gets lost, and closing one side doesn't close the other.
+ * The channel options (latency, chunkSize, dropRate and corruptRate) may be changed at any time and apply to the data
+ * written by this side.
+ */
+class LoopbackTransport extends EventEmitter {
+  /**
+   * @param {string} name - name of the transport, used in debug logs
+   * @param {LoopbackOptions} [options] - channel options. Throws a TypeError if they're invalid
+   */
+  constructor (name, options) {
+    super()
+    this.d = require('debug')(`serialio:transport:${name}`)
+
+    /** @type {string} */
+    this.name = name
+
+    const { latency, chunkSize, dropRate, corruptRate } = Options.normalizeLoopbackOptions(options)
+
+    /**
+     * Delay in ms before written data arrives at the peer
+     * @type {number}
+     */
+    this.latency = latency
+
+    /**
+     * Max size in bytes of the chunks written data arrives in
+     * @type {number}
+     */
+    this.chunkSize = chunkSize
+
+    /**
+     * Probability that a written byte gets lost
+     * @type {number}
+     */
+    this.dropRate = dropRate
+
+    /**
+     * Probability that a written byte gets corrupted
+     * @type {number}
+     */
+    this.corruptRate = corruptRate
+
+    /** @type {LoopbackTransport|undefined} */
+    this.peer = undefined
+
+    this._isOpen = false
+
+    /**
+     * Scheduled disturbances of the next written bytes
+     * @type {{drop: Array<{from: number, to: number}>, corrupt: Array<{from: number, to: number}>}}
+     * @private
+     */
+    this._disturbances = { drop: [], corrupt: [] }
+
+    /**
+     * Number of bytes written so far, to locate scheduled disturbances
+     * @type {number}
+     * @private
+     */
+    this._written = 0
+
+    /**
+     * Time the last written chunk arrives at the peer, to keep chunks in order when the latency changes
+     * @type {number}
+     * @private
+     */
+    this._lastArrival = 0
+  }
+
+  /**
+   * Creates two connected transports
+   * @param {LoopbackOptions} [options] - channel options of both transports
+   * @returns {LoopbackTransport[]}
+   */
+  static createPair (options) {
+    const a = new LoopbackTransport('loopback:a', options)
+    const b = new LoopbackTransport('loopback:b', options)
+    a.peer = b
+    b.peer = a
+    return [a, b]
+  }
+
+  /**
+   * Indicates whether the transport is open
+   * @returns {boolean}
+   */
+  get isOpen () {
+    return this._isOpen
+  }
+
+  /**
+   * Opens the transport
+   * @param {function(Error|null)} callback
+   */
+  open (callback) {
+    if (this._isOpen) {
+      return process.nextTick(callback, new Error('Transport is already open'))
+    }
+
+    this._isOpen = true
+    process.nextTick(() => {
+      this.emit('open')
+      callback(null)
+    })
+  }
+
+  /**
+   * Closes the transport
+   * @param {function(Error|null)} callback
+   */
+  close (callback) {
+    if (!this._isOpen) {
+      return process.nextTick(callback, new Error('Transport is not open'))
+    }
+
+    this._isOpen = false
+    process.nextTick(() => {
+      this.emit('close')
+      callback(null)
+    })
+  }
+
+  /**
+   * Sends data to the peer, disturbed according to the channel options
+   * @param {Buffer} data
+   * @param {string} [encoding]
+   * @param {function(Error|null)} callback
+   */
+  write (data, encoding, callback) {
+    if (!this._isOpen) {
+      return process.nextTick(callback, new Error('Transport is not open'))
+    }
+
+    const disturbed = this._disturb(Buffer.from(data))
+    for (let pos = 0; pos < disturbed.length; pos += this.chunkSize) {
+      this._deliver(disturbed.slice(pos, pos + this.chunkSize))
+    }
+
+    process.nextTick(callback, null)
+  }
+
+  /**
+   * Data is never buffered, so this calls back right away
+   * @param {function(Error|null)} callback
+   */
+  drain (callback) {
+    process.nextTick(callback, this._isOpen ? null : new Error('Transport is not open'))
+  }
+
+  /**
+   * Drops bytes written next
+   * @param {number} count - number of bytes to drop
+   * @param {number} [offset] - number of bytes written next to skip before dropping
+   */
+  dropNext (count, offset = 0) {
+    this._disturbances.drop.push({ from: this._written + offset, to: this._written + offset + count })
+  }
+
+  /**
+   * Corrupts bytes written next
+   * @param {number} count - number of bytes to corrupt
+   * @param {number} [offset] - number of bytes written next to skip before corrupting
+   */
+  corruptNext (count, offset = 0) {
+    this._disturbances.corrupt.push({ from: this._written + offset, to: this._written + offset + count })
+  }
+
+  /**
+   * Drops and corrupts bytes according to the scheduled disturbances and the drop and corrupt rates
+   * @param {Buffer} data
+   * @returns {Buffer}
+   * @private
+   */
+  _disturb (data) {
+    const start = this._written
+    this._written += data.length
+    const isDisturbed = (ranges, pos) => ranges.some(range => pos >= range.from && pos < range.to)
+
+    const bytes = []
+    for (let i = 0; i < data.length; i++) {
+      if (isDisturbed(this._disturbances.drop, start + i) || Math.random() < this.dropRate) {
+        continue
+      }
+
+      const corrupt = isDisturbed(this._disturbances.corrupt, start + i) || Math.random() < this.corruptRate
+      bytes.push(corrupt ? data[i] ^ 0xff : data[i])
+    }
+
+    this._disturbances.drop = this._disturbances.drop.filter(range => range.to > this._written)
+    this._disturbances.corrupt = this._disturbances.corrupt.filter(range => range.to > this._written)
+
+    if (bytes.length !== data.length) {
+      this.d('dropped %d bytes', data.length - bytes.length)
+    }
+    return Buffer.from(bytes)
+  }
+
+  /**
+   * Delivers a chunk to the peer after the latency. Chunks arrive in the order they've been written.
+   * @param {Buffer} chunk
+   * @private
+   */
+  _deliver (chunk) {
+    if (chunk.length === 0) {
+      return
+    }
+
+    const arrival = Math.max(Date.now() + this.latency, this._lastArrival)
+    this._lastArrival = arrival
+    setTimeout(() => {
+      if (this.peer && this.peer._isOpen) {
+        this.peer.emit('data', chunk)
+      } else {
+        this.d('peer is closed, %d bytes lost', chunk.length)
+      }
+    }, arrival - Date.now())
+  }
+}
+
+module.exports = LoopbackTransport
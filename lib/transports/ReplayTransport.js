@@ -0,0 +1,132 @@
+const EventEmitter = require('events')
+const Capture = require('../Capture')
+
+/**
+ * Transport replaying the inbound chunks of a capture (see Capture and SerialIO.startCapture()) after opening, to
+ * reproduce parser and handler bugs offline. Written data goes nowhere, but is kept in `written`.
+ * Emits 'replayEnd' (number of replayed chunks) once the capture has been replayed, or the transport was closed, and
+ * 'error' if the replay fails.
+ */
+class ReplayTransport extends EventEmitter {
+  /**
+   * @param {string|CaptureEntry[]} capture - path of a capture file, or its entries
+   * @param {Object} [options]
+   * @param {boolean} [options.realtime] - whether the original time between chunks is kept (default: true)
+   * @param {number} [options.speed] - speeds up (> 1) or slows down (< 1) realtime replays (default: 1)
+   */
+  constructor (capture, { realtime = true, speed = 1 } = {}) {
+    super()
+
+    /** @type {string} */
+    this.name = typeof capture === 'string' ? `replay:${capture}` : 'replay'
+    this.d = require('debug')(`serialio:transport:${this.name}`)
+
+    this.realtime = realtime
+    this.speed = speed
+
+    /**
+     * Chunks written to the transport
+     * @type {Buffer[]}
+     */
+    this.written = []
+
+    this._capture = capture
+    this._isOpen = false
+  }
+
+  /**
+   * Indicates whether the transport is open
+   * @returns {boolean}
+   */
+  get isOpen () {
+    return this._isOpen
+  }
+
+  /**
+   * Replays can't be reopened, so SerialIO doesn't replay the capture again after the transport has been closed.
+   * @returns {boolean}
+   */
+  get reopenable () {
+    return false
+  }
+
+  /**
+   * Opens the transport and starts the replay. Fails if the capture file can't be read or parsed.
+   * @param {function(Error|null)} callback
+   */
+  open (callback) {
+    if (this._isOpen) {
+      return process.nextTick(callback, new Error('Transport is already open'))
+    }
+
+    const load = typeof this._capture === 'string' ? Capture.load(this._capture) : Promise.resolve(this._capture)
+    load.then((entries) => {
+      this._isOpen = true
+      this.emit('open')
+      callback(null)
+      return this._replay(entries).catch((err) => {
+        this.d('replay failed: %s', err.message || err)
+        this.emit('error', err)
+      })
+    }, (err) => callback(err))
+  }
+
+  /**
+   * Closes the transport, which stops the replay
+   * @param {function(Error|null)} callback
+   */
+  close (callback) {
+    if (!this._isOpen) {
+      return process.nextTick(callback, new Error('Transport is not open'))
+    }
+
+    this._isOpen = false
+    process.nextTick(() => {
+      this.emit('close')
+      callback(null)
+    })
+  }
+
+  /**
+   * Keeps written data in `written`
+   * @param {Buffer} data
+   * @param {string} [encoding]
+   * @param {function(Error|null)} callback
+   */
+  write (data, encoding, callback) {
+    if (!this._isOpen) {
+      return process.nextTick(callback, new Error('Transport is not open'))
+    }
+
+    this.written.push(Buffer.from(data))
+    process.nextTick(callback, null)
+  }
+
+  /**
+   * Data is never buffered, so this calls back right away
+   * @param {function(Error|null)} callback
+   */
+  drain (callback) {
+    process.nextTick(callback, this._isOpen ? null : new Error('Transport is not open'))
+  }
+
+  /**
+   * Emits the inbound chunks of the capture as data, while the transport is open
+   * @param {CaptureEntry[]} entries
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _replay (entries) {
+    const replayed = await Capture.replay(entries, (data) => {
+      if (!this._isOpen) {
+        return false
+      }
+      this.emit('data', data)
+    }, { realtime: this.realtime, speed: this.speed })
+
+    this.d('replayed %d chunks', replayed)
+    this.emit('replayEnd', replayed)
+  }
+}
+
+module.exports = ReplayTransport
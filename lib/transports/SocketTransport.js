@@ -0,0 +1,41 @@
+const net = require('net')
+const StreamTransport = require('./StreamTransport')
+
+/**
+ * Transport over a TCP socket (e.g. to a ser2net server) or a Unix socket. Connects on each open(), so it can be
+ * reopened after the connection has been closed.
+ */
+class SocketTransport extends StreamTransport {
+  /**
+   * @param {Object} options - options of net.connect(), i.e. host and port for TCP sockets, path for Unix sockets
+   */
+  constructor (options) {
+    const name = options.path ? `unix:${options.path}` : `tcp:${options.host || 'localhost'}:${options.port}`
+    super(() => net.connect(options), name)
+
+    /** @type {Object} */
+    this.options = options
+  }
+
+  /**
+   * Waits until the socket is connected
+   * @param {net.Socket} socket
+   * @param {function(Error|null)} callback
+   * @protected
+   */
+  _connect (socket, callback) {
+    const onConnect = () => {
+      socket.removeListener('error', onError)
+      socket.setNoDelay(true)
+      callback(null)
+    }
+    const onError = (err) => {
+      socket.removeListener('connect', onConnect)
+      callback(err)
+    }
+    socket.once('connect', onConnect)
+    socket.once('error', onError)
+  }
+}
+
+module.exports = SocketTransport
@@ -0,0 +1,178 @@
+const EventEmitter = require('events')
+
+/**
+ * Transport over an arbitrary Duplex stream, e.g. a simulator or a pipe.
+ * Implements the subset of the SerialPort API used by SerialIO: open(), close(), isOpen, write() and drain(), as
+ * well as the events 'open', 'close', 'data', 'drain' and 'error'.
+ * The transport is closed once the stream has ended or has been closed.
+ */
+class StreamTransport extends EventEmitter {
+  /**
+   * @param {Duplex|function(): Duplex} stream - the stream, or a function creating a new stream on each open().
+   * Transports with a single stream can't be reopened after they've been closed.
+   * @param {string} [name] - name of the transport, used in debug logs
+   */
+  constructor (stream, name = 'stream') {
+    super()
+    this.d = require('debug')(`serialio:transport:${name}`)
+
+    /** @type {string} */
+    this.name = name
+
+    this._createStream = typeof stream === 'function' ? stream : () => stream
+
+    /**
+     * Indicates whether the transport can be opened again after it has been closed, i.e. whether it creates streams
+     * @type {boolean}
+     * @private
+     */
+    this._reopenable = typeof stream === 'function'
+
+    /**
+     * The stream, while the transport is open
+     * @type {Duplex|undefined}
+     * @private
+     */
+    this._stream = undefined
+  }
+
+  /**
+   * Indicates whether the transport is open
+   * @returns {boolean}
+   */
+  get isOpen () {
+    return this._stream !== undefined
+  }
+
+  /**
+   * Indicates whether the transport can be opened again after it has been closed. Transports with a single stream
+   * can't, so SerialIO doesn't try to reopen them.
+   * @returns {boolean}
+   */
+  get reopenable () {
+    return this._reopenable
+  }
+
+  /**
+   * Opens the transport
+   * @param {function(Error|null)} callback
+   */
+  open (callback) {
+    if (this._stream) {
+      return process.nextTick(callback, new Error('Transport is already open'))
+    }
+
+    let stream
+    try {
+      stream = this._createStream()
+    } catch (e) {
+      return process.nextTick(callback, e)
+    }
+
+    if (stream.destroyed) {
+      return process.nextTick(callback, new Error('Stream has been destroyed, pass a function creating streams to reopen the transport'))
+    }
+
+    this._connect(stream, (err) => {
+      if (err) {
+        this.d('connecting failed: %s', err.message || err)
+        stream.destroy()
+        return callback(err)
+      }
+
+      this._attach(stream)
+      this.emit('open')
+      callback(null)
+    })
+  }
+
+  /**
+   * Closes the transport by destroying the stream
+   * @param {function(Error|null)} callback
+   */
+  close (callback) {
+    const stream = this._stream
+    if (!stream) {
+      return process.nextTick(callback, new Error('Transport is not open'))
+    }
+
+    stream.once('close', () => callback(null))
+    stream.destroy()
+  }
+
+  /**
+   * Writes data to the stream
+   * @param {Buffer} data
+   * @param {string} [encoding]
+   * @param {function(Error|null|undefined)} callback
+   */
+  write (data, encoding, callback) {
+    if (!this._stream) {
+      return process.nextTick(callback, new Error('Transport is not open'))
+    }
+
+    this._stream.write(data, encoding, callback)
+  }
+
+  /**
+   * Waits until all written data has been flushed
+   * @param {function(Error|null)} callback
+   */
+  drain (callback) {
+    const stream = this._stream
+    if (!stream) {
+      return process.nextTick(callback, new Error('Transport is not open'))
+    }
+
+    if (!stream.writableLength) {
+      return process.nextTick(callback, null)
+    }
+
+    const onDrain = () => {
+      stream.removeListener('close', onClose)
+      callback(null)
+    }
+    const onClose = () => {
+      stream.removeListener('drain', onDrain)
+      callback(new Error('Transport closed while draining'))
+    }
+    stream.once('drain', onDrain)
+    stream.once('close', onClose)
+  }
+
+  /**
+   * Waits until a new stream is ready to be used. Streams are ready right away, unless overridden.
+   * @param {Duplex} stream
+   * @param {function(Error|null)} callback
+   * @protected
+   */
+  _connect (stream, callback) {
+    process.nextTick(callback, null)
+  }
+
+  /**
+   * Forwards the events of an opened stream
+   * @param {Duplex} stream
+   * @private
+   */
+  _attach (stream) {
+    this._stream = stream
+    const isCurrent = () => this._stream === stream
+
+    stream.on('data', (data) => isCurrent() && this.emit('data', data))
+    stream.on('drain', () => isCurrent() && this.emit('drain'))
+    stream.on('error', (err) => isCurrent() && this.emit('error', err))
+    stream.on('end', () => {
+      this.d('stream ended')
+      stream.destroy()
+    })
+    stream.once('close', () => {
+      if (isCurrent()) {
+        this._stream = undefined
+        this.emit('close')
+      }
+    })
+  }
+}
+
+module.exports = StreamTransport
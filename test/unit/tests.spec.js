@@ -1,8 +1,19 @@
+const { PassThrough } = require('stream')
+const fs = require('fs')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
 const test = require('tape')
 const SerialPort = require('@serialport/stream')
 const MockBinding = require('@serialport/binding-mock')
 
 const SerialIO = require('../../')
+const Utils = require('../../lib/Utils')
+const DataParser = require('../../lib/DataParser')
+const Authenticator = require('../../lib/Authenticator')
+const Cli = require('../../lib/Cli')
+const LoopbackTransport = require('../../lib/transports/LoopbackTransport')
 
 // set up fake serial port
 SerialPort.Binding = MockBinding
@@ -397,3 +408,1734 @@ test('should parse messages sent via multiple writes', async (t) => {
     t.end()
   }, 500)
 })
+
+/**
+ * Forwards everything written to one port to the other one and vice versa.
+ * Uses the binding recordings, so consecutive writes can't get lost between two polls.
+ * @returns {function} stops forwarding
+ */
+function connect (a, b) {
+  let aForwarded = 0
+  let bForwarded = 0
+
+  const interval = setInterval(() => {
+    const aRecording = a._port.binding.recording
+    if (aRecording.length > aForwarded) {
+      b._port.binding.emitData(aRecording.slice(aForwarded))
+      aForwarded = aRecording.length
+    }
+
+    const bRecording = b._port.binding.recording
+    if (bRecording.length > bForwarded) {
+      a._port.binding.emitData(bRecording.slice(bForwarded))
+      bForwarded = bRecording.length
+    }
+  }, 20)
+
+  return () => clearInterval(interval)
+}
+
+test('replies arriving out of order should be matched to their requests', async (t) => {
+  const sender = new SerialIO('/dev/ttyFAKE1')
+  const replier = new SerialIO('/dev/ttyFAKE2')
+
+  await sender.open()
+  await replier.open()
+
+  replier.onMessage(async (msg) => {
+    // the first request is answered last
+    await new Promise(resolve => setTimeout(resolve, msg === 'slow' ? 600 : 0))
+    return `${msg} reply`
+  })
+
+  const disconnect = connect(sender, replier)
+
+  try {
+    const slow = sender.sendRequest('slow')
+    // wait for the first request to be written
+    await new Promise(resolve => setTimeout(resolve, 200))
+    const fast = sender.sendRequest('fast')
+
+    const order = []
+    await Promise.all([
+      slow.then(reply => order.push(reply)),
+      fast.then(reply => order.push(reply))
+    ])
+    t.deepEqual(order, ['fast reply', 'slow reply'], 'both replies were matched to their requests')
+  } catch (e) {
+    t.fail(`sending concurrent requests failed: ${e.message || e}`)
+  }
+
+  disconnect()
+  await sender.close()
+  await replier.close()
+  t.end()
+})
+
+test('replies with an unknown request id should be reported', async (t) => {
+  const endpoint = new SerialIO('/dev/ttyFAKE1')
+
+  let reported
+  endpoint.onUnexpectedReply((id, reply) => {
+    reported = { id, reply }
+  })
+
+  await endpoint.open()
+  endpoint._port.binding.emitData(SerialIO.createMessageBuffer(Buffer.from('nobody asked for this'), SerialIO.MESSAGE_TYPE.REPLY, 42))
+
+  setTimeout(async () => {
+    t.deepEqual(reported, { id: 42, reply: 'nobody asked for this' }, 'request id and body of the reply were reported')
+    await endpoint.close()
+    t.end()
+  }, 200)
+})
+
+test('crc32 should match the standard check value', (t) => {
+  t.equal(Utils.crc32(Buffer.from('123456789')), 0xcbf43926, 'checksum of "123456789" is 0xcbf43926')
+  t.equal(Utils.crc32(Buffer.from('6789'), Utils.crc32(Buffer.from('12345'))), 0xcbf43926, 'checksums can be chained')
+  t.end()
+})
+
+test('corrupted messages should be dropped and reported', async (t) => {
+  const endpoint = new SerialIO('/dev/ttyFAKE1')
+
+  endpoint.onMessage(() => {
+    t.fail('corrupted message reached the message handler')
+  })
+
+  const corrupted = SerialIO.createMessageBuffer(Buffer.from('this is not garbage'), SerialIO.MESSAGE_TYPE.REQUEST)
+  corrupted[corrupted.length - 1] ^= 0x01
+
+  let reported
+  endpoint.onCorruptedFrame((raw) => {
+    reported = raw
+  })
+
+  await endpoint.open()
+  endpoint._port.binding.emitData(corrupted)
+
+  setTimeout(async () => {
+    t.ok(reported && reported.equals(corrupted), 'raw bytes of the corrupted message were reported')
+    await endpoint.close()
+    t.end()
+  }, 200)
+})
+
+test('a corrupted reply should fail the waiting request right away', async (t) => {
+  const endpoint = new SerialIO('/dev/ttyFAKE1')
+
+  await endpoint.open()
+
+  const request = endpoint.sendRequest('this is a test string')
+  const reply = SerialIO.createMessageBuffer(Buffer.from('this is a reply'), SerialIO.MESSAGE_TYPE.REPLY, endpoint._lastRequestId)
+  reply[reply.length - 1] ^= 0x01
+  const start = Date.now()
+  setTimeout(() => endpoint._port.binding.emitData(reply), 100)
+
+  try {
+    await request
+    t.fail('request resolved with a corrupted reply')
+  } catch (e) {
+    t.equal(e.message, 'Corrupted reply received', 'request was rejected')
+    t.ok(Date.now() - start < SerialIO.REPLY_TIMEOUT, 'request was rejected before the reply timeout')
+  }
+
+  await endpoint.close()
+  t.end()
+})
+
+test('stuffing should round trip arbitrary bytes', (t) => {
+  const allBytes = Buffer.alloc(256)
+  allBytes.forEach((b, i) => { allBytes[i] = i })
+  const data = Buffer.concat([Utils.START_SEQUENCE, allBytes, Buffer.from([0xf0, 0xf0, 0xff, 0xf0])])
+
+  const stuffed = Utils.stuff(data)
+  t.equal(stuffed.indexOf(Utils.START_SEQUENCE), -1, 'stuffed data does not contain the start sequence')
+  t.ok(Utils.unstuff(stuffed).data.equals(data), 'unstuffed data equals original data')
+  t.end()
+})
+
+test('messages containing the start sequence should be parsed', (t) => {
+  const parser = new DataParser()
+
+  const payload = Buffer.concat([Buffer.from('before'), Utils.START_SEQUENCE, Buffer.from([0xf0, 0xff, 0xf0]), Buffer.from('after')])
+  const msg = SerialIO.createMessageBuffer(payload, SerialIO.MESSAGE_TYPE.REQUEST)
+  const empty = SerialIO.createMessageBuffer(Buffer.alloc(0), SerialIO.MESSAGE_TYPE.REQUEST)
+  const garbage = Buffer.from([0xf0, 0x00, 0x00, 0x0f, 0xf0, 0x01, 0x02, 0xf0])
+
+  const received = []
+  parser.onMessage(m => received.push(m.data))
+
+  // split byte by byte, so escape sequences are split as well
+  const stream = Buffer.concat([garbage, msg, garbage, empty, msg])
+  for (let i = 0; i < stream.length; i++) {
+    parser.parseData(stream.slice(i, i + 1))
+  }
+
+  t.equal(received.length, 3, 'all messages were received')
+  t.ok(received[0].equals(payload), 'payload containing the start sequence was received unaltered')
+  t.equal(received[1].length, 0, 'empty message was received')
+  t.ok(received[2].equals(payload), 'parser resynchronised after garbage')
+  t.end()
+})
+
+test('binary messages should be received and replied to as buffers', async (t) => {
+  const sender = new SerialIO('/dev/ttyFAKE1')
+  const replier = new SerialIO('/dev/ttyFAKE2')
+
+  const message = Buffer.alloc(256)
+  message.forEach((b, i) => { message[i] = 255 - i })
+  const reply = new Uint8Array([0xf0, 0x00, 0x00, 0x0f, 0x7b, 0x7d])
+
+  await sender.open()
+  await replier.open()
+
+  replier.onMessage((msg) => {
+    t.ok(Buffer.isBuffer(msg) && msg.equals(message), 'binary message received as buffer')
+    return reply
+  })
+
+  const disconnect = connect(sender, replier)
+
+  try {
+    const received = await sender.sendRequest(message)
+    t.ok(Buffer.isBuffer(received) && received.equals(Buffer.from(reply)), 'binary reply received as buffer')
+  } catch (e) {
+    t.fail(`sending binary message failed: ${e.message || e}`)
+  }
+
+  disconnect()
+  await sender.close()
+  await replier.close()
+  t.end()
+})
+
+test('error replies should keep name, code, additional properties and cause', async (t) => {
+  const sender = new SerialIO('/dev/ttyFAKE1')
+  const replier = new SerialIO('/dev/ttyFAKE2')
+
+  class PrinterError extends Error {
+    constructor (message, code) {
+      super(message)
+      this.name = 'PrinterError'
+      this.code = code
+      this.statusCode = 503
+      this.printer = { id: 'printer-1' }
+    }
+  }
+
+  await sender.open()
+  await replier.open()
+
+  replier.onMessage(() => {
+    const err = new PrinterError('out of paper', 'PAPER_OUT')
+    err.cause = new TypeError('sensor triggered')
+    throw err
+  })
+
+  const disconnect = connect(sender, replier)
+
+  try {
+    await sender.sendRequest('print')
+    t.fail('sending request returned successfully')
+  } catch (e) {
+    t.ok(e instanceof SerialIO.RemoteError, 'error reply was thrown as RemoteError')
+    t.equal(e.name, 'PrinterError', 'name was kept')
+    t.equal(e.message, 'out of paper', 'message was kept')
+    t.equal(e.code, 'PAPER_OUT', 'code was kept')
+    t.equal(e.statusCode, 503, 'statusCode was kept')
+    t.deepEqual(e.printer, { id: 'printer-1' }, 'additional properties were kept')
+    t.ok(e.cause instanceof SerialIO.RemoteError, 'cause was kept')
+    t.equal(e.cause.name, 'TypeError', 'name of cause was kept')
+    t.equal(e.remoteStack, undefined, 'stack was not exposed')
+  }
+
+  replier.exposeErrorStack = true
+  try {
+    await sender.sendRequest('print')
+    t.fail('sending request returned successfully')
+  } catch (e) {
+    t.ok(/PrinterError: out of paper/.test(e.remoteStack), 'stack was exposed')
+  }
+
+  // properties that can't be encoded as JSON are left out
+  replier.onMessage(() => {
+    const err = new PrinterError('jammed', 'PAPER_JAM')
+    err.printer.self = err.printer
+    err.retries = global.BigInt(3)
+    throw err
+  })
+  try {
+    await sender.sendRequest('print')
+    t.fail('sending request returned successfully')
+  } catch (e) {
+    t.equal(e.message, 'jammed', 'message of error with circular property was kept')
+    t.equal(e.code, 'PAPER_JAM', 'code of error with circular property was kept')
+    t.equal(e.statusCode, 503, 'serializable properties were kept')
+    t.equal(e.printer, undefined, 'circular property was left out')
+    t.equal(e.retries, undefined, 'BigInt property was left out')
+  }
+
+  const polluted = SerialIO.RemoteError.fromJSON(JSON.parse('{"message":"m","code":"E","__proto__":{"polluted":1}}'))
+  t.ok(polluted instanceof SerialIO.RemoteError, 'remote __proto__ property does not replace the prototype')
+  t.equal(polluted.polluted, undefined, 'remote __proto__ property does not inject inherited properties')
+  t.equal(polluted.code, 'E', 'other properties were kept')
+
+  disconnect()
+  await sender.close()
+  await replier.close()
+  t.end()
+})
+
+test('options should be validated and passed to the serial port', async (t) => {
+  t.throws(() => new SerialIO('/dev/ttyFAKE1', { baudRate: -1 }), /options.baudRate must be a positive integer/, 'invalid baud rate is rejected')
+  t.throws(() => new SerialIO('/dev/ttyFAKE1', { parity: 'sometimes' }), TypeError, 'invalid parity is rejected')
+  t.throws(() => new SerialIO('/dev/ttyFAKE1', { reconnect: { interval: 0 } }), TypeError, 'invalid reconnect interval is rejected')
+  t.throws(() => new SerialIO('/dev/ttyFAKE1', { baudrate: 115200 }), /options.baudrate is not a known option, did you mean baudRate\?/,
+    'misspelled option is rejected')
+  t.throws(() => new SerialIO('/dev/ttyFAKE1', { timout: 100 }), /options.timout is not a known option$/, 'unknown option is rejected')
+  t.throws(() => new SerialIO('/dev/ttyFAKE1', { reconnect: { maxAttemps: 3 } }), /options.reconnect.maxAttemps is not a known option/,
+    'unknown nested option is rejected')
+
+  const endpoint = new SerialIO('/dev/ttyFAKE1', { baudRate: 115200, parity: 'even', rtscts: true, chunkSize: 16 })
+  t.equal(endpoint.options.replyTimeout, SerialIO.REPLY_TIMEOUT, 'defaults are filled in')
+  t.equal(endpoint.options.reconnect.enabled, true, 'nested defaults are filled in')
+
+  await endpoint.open()
+  t.equal(endpoint._port.settings.baudRate, 115200, 'baud rate was passed to the serial port')
+  t.equal(endpoint._port.settings.parity, 'even', 'parity was passed to the serial port')
+  t.equal(endpoint._port.settings.rtscts, true, 'flow control was passed to the serial port')
+
+  await endpoint.sendReply('this is a reply longer than a single chunk', 1)
+  t.ok(endpoint._port.binding.lastWrite.length <= 16, 'message was written in chunks')
+  t.equal(endpoint._port.binding.recording.length, SerialIO.createMessageBuffer(Buffer.from('this is a reply longer than a single chunk'), SerialIO.MESSAGE_TYPE.REPLY, 1).length, 'whole message was written')
+
+  await endpoint.close()
+  t.end()
+})
+
+test('per-call options should override the reply timeout', async (t) => {
+  const endpoint = new SerialIO('/dev/ttyFAKE1', { replyTimeout: 10000 })
+
+  await endpoint.open()
+
+  const start = Date.now()
+  try {
+    await endpoint.sendRequest('this is a test string', { timeout: 200 })
+    t.fail('timeout has not been reached')
+  } catch (e) {
+    t.equal(e.message, 'Timeout reached', 'timeout has been reached')
+    t.ok(Date.now() - start < 1000, 'per-call timeout was used')
+  }
+
+  try {
+    await endpoint.sendRequest('this is a test string', { timeout: 'soon' })
+    t.fail('invalid timeout was accepted')
+  } catch (e) {
+    t.ok(e instanceof TypeError, 'invalid per-call options are rejected')
+  }
+
+  try {
+    await endpoint.sendRequest('this is a test string', { timout: 100 })
+    t.fail('misspelled option was accepted')
+  } catch (e) {
+    t.ok(/options.timout is not a known option/.test(e.message), 'misspelled per-call options are rejected')
+  }
+
+  try {
+    await endpoint.sendStream(new PassThrough(), null, { retry: 1 })
+    t.fail('misspelled stream option was accepted')
+  } catch (e) {
+    t.ok(/options.retry is not a known option/.test(e.message), 'misspelled per-call stream options are rejected')
+  }
+
+  await endpoint.close()
+  t.end()
+})
+
+test('reply timeouts should start once the request has been written', async (t) => {
+  const [a, b] = SerialIO.createPair({}, { replyTimeout: 200 })
+  b.onMessage((msg) => msg === 'slow' ? new Promise(resolve => setTimeout(resolve, 250, 'late reply')) : new Promise(() => {}))
+  await Promise.all([a.open(), b.open()])
+
+  // writing takes longer than the reply timeout, like large messages on slow lines
+  const drain = a.transport.drain.bind(a.transport)
+  a.transport.drain = (callback) => setTimeout(() => drain(callback), 300)
+
+  t.equal(await a.sendRequest('slow'), 'late reply', 'reply arriving while writing was matched')
+
+  const start = Date.now()
+  try {
+    await a.sendRequest('never answered')
+    t.fail('timeout has not been reached')
+  } catch (e) {
+    t.equal(e.message, 'Timeout reached', 'unanswered request timed out')
+    t.ok(Date.now() - start >= 480, 'timeout started after writing')
+  }
+
+  await Promise.all([a.close(), b.close()])
+  t.end()
+})
+
+test('unexpectedly closed ports should be reopened', async (t) => {
+  const endpoint = new SerialIO('/dev/ttyFAKE1', { reconnect: { interval: 50 } })
+
+  const events = []
+  endpoint.onReconnecting((attempt, delay) => events.push(['reconnecting', attempt, delay]))
+  endpoint.onReconnected((attempts) => events.push(['reconnected', attempts]))
+
+  await endpoint.open()
+  // close the port without telling SerialIO
+  endpoint._port.close()
+
+  setTimeout(async () => {
+    t.deepEqual(events, [['reconnecting', 1, 50], ['reconnected', 1]], 'reconnecting and reconnected events were fired')
+    t.ok(endpoint.isOpen(), 'port was reopened')
+    t.notOk(endpoint.isReconnecting(), 'reconnecting is done')
+    await endpoint.close()
+    t.end()
+  }, 300)
+})
+
+test('reopening ports should back off and give up after max attempts', async (t) => {
+  const endpoint = new SerialIO('/dev/ttyFAILING', { reconnect: { interval: 10, factor: 2, maxAttempts: 3 } })
+
+  const delays = []
+  endpoint.onReconnecting((attempt, delay) => delays.push(delay))
+  endpoint.onReconnectFailed((attempts, err) => {
+    t.deepEqual(delays, [10, 20, 40], 'delay grew exponentially')
+    t.equal(attempts, 3, 'gave up after max attempts')
+    t.equal(endpoint.reconnectAttempts, 3, 'attempts are exposed')
+    t.ok(err instanceof Error, 'error of the last attempt is passed')
+    t.notOk(endpoint.isReconnecting(), 'reconnecting is done')
+    t.end()
+  })
+
+  endpoint._closeHandler(new Error('port is gone'))
+})
+
+test('reopening ports should be cancellable', async (t) => {
+  const endpoint = new SerialIO('/dev/ttyFAILING', { reconnect: { interval: 50 } })
+
+  let attempts = 0
+  endpoint.onReconnecting(() => attempts++)
+
+  endpoint._closeHandler(new Error('port is gone'))
+  t.ok(endpoint.isReconnecting(), 'reconnecting started')
+  setTimeout(() => endpoint.cancelReconnect(), 75)
+
+  setTimeout(() => {
+    t.equal(attempts, 2, 'no attempts were made after cancelling')
+    t.notOk(endpoint.isReconnecting(), 'reconnecting is done')
+    t.end()
+  }, 300)
+})
+
+test('ports reopened after reconnecting was cancelled should be closed again', async (t) => {
+  const endpoint = new SerialIO('/dev/ttyFAKE1', { reconnect: { interval: 50 } })
+
+  const events = []
+  endpoint.onReconnected((attempts) => events.push(['reconnected', attempts]))
+
+  await endpoint.open()
+  // cancel reconnecting while the reopen attempt is still opening the port
+  const open = endpoint.open.bind(endpoint)
+  endpoint.open = () => {
+    const opened = open()
+    endpoint.cancelReconnect()
+    return opened
+  }
+  endpoint._port.close()
+
+  setTimeout(() => {
+    t.deepEqual(events, [], 'no reconnected event was fired')
+    t.equal(endpoint.getStats().reconnects, 0, 'no reconnect was counted')
+    t.notOk(endpoint.isOpen(), 'port was closed again')
+    t.notOk(endpoint.isReconnecting(), 'reconnecting is done')
+    t.end()
+  }, 300)
+})
+
+test('messages sent while writing should be queued', async (t) => {
+  const sender = new SerialIO('/dev/ttyFAKE1')
+  const replier = new SerialIO('/dev/ttyFAKE2')
+
+  await sender.open()
+  await replier.open()
+
+  replier.onMessage((msg) => `${msg} reply`)
+
+  const disconnect = connect(sender, replier)
+
+  try {
+    const replies = await Promise.all(['first', 'second', 'third'].map(msg => sender.sendRequest(msg)))
+    t.deepEqual(replies, ['first reply', 'second reply', 'third reply'], 'all queued requests were replied to')
+    t.equal(sender.queueLength, 0, 'queue is empty')
+  } catch (e) {
+    t.fail(`sending queued requests failed: ${e.message || e}`)
+  }
+
+  disconnect()
+  await sender.close()
+  await replier.close()
+  t.end()
+})
+
+test('failing replies should not affect own pending requests with the same id', async (t) => {
+  const [a, b] = SerialIO.createPair({}, { replyTimeout: 300 })
+  b.onMessage(() => new Promise(() => {}))
+  await Promise.all([a.open(), b.open()])
+
+  const request = a.sendRequest('never answered')
+  await new Promise(resolve => setTimeout(resolve, 50))
+  t.ok(a._pendingRequests.has(1), 'request 1 is pending')
+
+  const write = a.transport.write.bind(a.transport)
+  a.transport.write = (data, encoding, callback) => process.nextTick(callback, new Error('write failed'))
+  try {
+    await a.sendReply('reply to remote request 1', 1)
+    t.fail('failing reply was resolved')
+  } catch (e) {
+    t.pass('failing reply was rejected')
+  }
+  a.transport.write = write
+
+  t.ok(a._pendingRequests.has(1), 'own request 1 is still pending')
+  try {
+    await request
+    t.fail('request was resolved')
+  } catch (e) {
+    t.equal(e.message, 'Timeout reached', 'own request still timed out')
+  }
+
+  await Promise.all([a.close(), b.close()])
+  t.end()
+})
+
+test('requests reusing the id of a pending request should be rejected', async (t) => {
+  const [a, b] = SerialIO.createPair({}, { replyTimeout: 200 })
+  b.onMessage((msg) => msg)
+  await Promise.all([a.open(), b.open()])
+
+  const first = a.sendRequest('first', { id: 5 })
+  try {
+    await a.sendRequest('second', { id: 5 })
+    t.fail('request with a pending id was sent')
+  } catch (e) {
+    t.equal(e.code, 'DUPLICATE_REQUEST_ID', 'request with a pending id was rejected')
+  }
+  t.equal(await first, 'first', 'first request was answered')
+  t.equal(await a.sendRequest('third', { id: 5 }), 'third', 'id may be reused once answered')
+
+  // the first request is being written, while the second one waits in the queue
+  const writing = a.sendRequest('writing')
+  const queuedId = a._lastRequestId + 1
+  const queued = a.sendRequest('queued', { id: queuedId })
+  t.equal(a.queueLength, 1, 'request is queued')
+  t.notEqual(a._nextRequestId(), queuedId, 'new ids skip queued ones')
+  t.deepEqual(await Promise.all([writing, queued]), ['writing', 'queued'], 'requests were answered')
+
+  await Promise.all([a.close(), b.close()])
+  t.end()
+})
+
+test('send queue should reject messages on overflow and timeout', async (t) => {
+  const endpoint = new SerialIO('/dev/ttyFAKE1', { queue: { maxSize: 1 } })
+
+  await endpoint.open()
+
+  // simulate a slow port
+  const writeAndDrain = endpoint._writeAndDrain.bind(endpoint)
+  endpoint._writeAndDrain = (data) => new Promise(resolve => setTimeout(resolve, 200)).then(() => writeAndDrain(data))
+
+  const writing = endpoint.sendReply('writing', 1)
+  const queued = endpoint.send('queued', SerialIO.MESSAGE_TYPE.REPLY, { id: 2, queueTimeout: 50 })
+  const overflowing = endpoint.sendReply('overflowing', 3)
+
+  try {
+    await overflowing
+    t.fail('overflowing message was sent')
+  } catch (e) {
+    t.equal(e.code, 'QUEUE_FULL', 'overflowing message was rejected')
+  }
+
+  try {
+    await queued
+    t.fail('queued message was sent')
+  } catch (e) {
+    t.equal(e.code, 'QUEUE_TIMEOUT', 'queued message timed out')
+  }
+
+  await writing
+  t.pass('first message was written')
+
+  await endpoint.close()
+  t.end()
+})
+
+test('method calls should be routed to their handlers', async (t) => {
+  const sender = new SerialIO('/dev/ttyFAKE1')
+  const replier = new SerialIO('/dev/ttyFAKE2')
+
+  await sender.open()
+  await replier.open()
+
+  replier.handle('printReceipt', async (params) => ({ printed: params.lines.length }))
+  replier.handle('openDrawer', () => {
+    throw Object.assign(new Error('drawer is jammed'), { code: 'DRAWER_JAMMED' })
+  })
+  replier.onMessage((msg) => `${msg} reply`)
+
+  const disconnect = connect(sender, replier)
+
+  try {
+    t.deepEqual(await sender.call('printReceipt', { lines: ['a', 'b'] }), { printed: 2 }, 'call was routed to its method handler')
+    t.equal(await sender.sendRequest('legacy'), 'legacy reply', 'requests are still handled by the message handler')
+  } catch (e) {
+    t.fail(`calling method failed: ${e.message || e}`)
+  }
+
+  try {
+    await sender.call('openDrawer')
+    t.fail('failing call returned successfully')
+  } catch (e) {
+    t.equal(e.code, 'DRAWER_JAMMED', 'method handler errors are sent as error reply')
+  }
+
+  try {
+    await sender.call('selfDestruct')
+    t.fail('call of unknown method returned successfully')
+  } catch (e) {
+    t.ok(e instanceof SerialIO.RemoteError, 'call of unknown method was rejected')
+    t.equal(e.code, 'METHOD_NOT_FOUND', 'error has code METHOD_NOT_FOUND')
+  }
+
+  disconnect()
+  await sender.close()
+  await replier.close()
+
+  const stringSender = new SerialIO('/dev/ttyFAKE1', { codec: 'string' })
+  const stringReplier = new SerialIO('/dev/ttyFAKE2', { codec: 'string' })
+  await stringSender.open()
+  await stringReplier.open()
+  stringReplier.handle('greet', (params) => `hello ${params.name}`)
+  stringReplier.onMessage((msg) => msg)
+  const disconnectString = connect(stringSender, stringReplier)
+
+  try {
+    t.equal(await stringSender.call('greet', { name: 'till' }), 'hello till', 'calls work with the string codec')
+    t.equal(await stringSender.sendRequest('plain'), 'plain', 'other messages still use the string codec')
+  } catch (e) {
+    t.fail(`calling method with string codec failed: ${e.message || e}`)
+  }
+
+  disconnectString()
+  await stringSender.close()
+  await stringReplier.close()
+  t.end()
+})
+
+test('events should support multiple listeners next to the onX() handlers', async (t) => {
+  const endpoint = new SerialIO('/dev/ttyFAKE1', { replyTimeout: 100 })
+
+  const events = []
+  endpoint.onOpen(() => events.push('replaced onOpen'))
+  endpoint.onOpen(() => events.push('onOpen'))
+  endpoint.on('open', () => events.push('open listener'))
+  endpoint.once('open', () => events.push('once listener'))
+  const removed = () => events.push('removed listener')
+  endpoint.on('open', removed)
+  endpoint.off('open', removed)
+  endpoint.on('timeout', (id) => events.push(`timeout ${id}`))
+  endpoint.on('garbage', (data) => events.push(`garbage ${data.toString()}`))
+  endpoint.on('parseError', (err) => events.push(err.code))
+  endpoint.on('reply', (reply, id) => events.push(`reply ${reply} ${id}`))
+
+  await endpoint.open()
+
+  try {
+    await endpoint.sendRequest('nobody will answer')
+  } catch (e) {}
+
+  const reply = endpoint.sendRequest('somebody will answer')
+  const incomplete = SerialIO.createMessageBuffer(Buffer.from('incomplete'), SerialIO.MESSAGE_TYPE.REQUEST).slice(0, 10)
+  endpoint._port.binding.emitData(Buffer.concat([
+    Buffer.from('junk'),
+    incomplete,
+    SerialIO.createMessageBuffer(Buffer.from('answer'), SerialIO.MESSAGE_TYPE.REPLY, endpoint._lastRequestId)
+  ]))
+  await reply
+
+  t.deepEqual(events, [
+    'onOpen', 'open listener', 'once listener',
+    'timeout 1',
+    'garbage junk',
+    'INCOMPLETE_MESSAGE',
+    'reply answer 2'
+  ], 'all listeners were called')
+
+  await endpoint.close()
+  t.end()
+})
+
+test('streams should be sent in acknowledged chunks and resume after lost chunks', async (t) => {
+  const sender = new SerialIO('/dev/ttyFAKE1')
+  const receiver = new SerialIO('/dev/ttyFAKE2')
+
+  await sender.open()
+  await receiver.open()
+
+  // drop the 5th chunk once, so it's not acknowledged
+  const handleMessage = receiver._handleMessage.bind(receiver)
+  let dataMessages = 0
+  receiver._handleMessage = (msg) => {
+    if (msg.type === SerialIO.MESSAGE_TYPE.STREAM_DATA && ++dataMessages === 5) {
+      return
+    }
+    handleMessage(msg)
+  }
+
+  const received = []
+  let receivedMeta
+  receiver.on('stream', (stream, meta) => {
+    receivedMeta = meta
+    const data = []
+    stream.on('data', (chunk) => data.push(chunk))
+    stream.on('end', () => received.push(Buffer.concat(data)))
+    stream.on('error', (err) => received.push(err))
+  })
+  const progress = []
+  sender.on('streamProgress', (p) => progress.push(p.bytes))
+
+  const disconnect = connect(sender, receiver)
+
+  const payload = Buffer.alloc(10 * 1024 + 100)
+  for (let i = 0; i < payload.length; i++) {
+    payload[i] = i % 251
+  }
+
+  try {
+    const readable = new PassThrough()
+    readable.end(payload)
+    const result = await sender.sendStream(readable, { name: 'receipt.pdf' }, { chunkSize: 1024, timeout: 200 })
+    t.deepEqual(result, { streamId: 1, chunks: 11, bytes: payload.length }, 'all chunks were acknowledged')
+    t.equal(progress.length, 11, 'progress was reported per chunk')
+    t.equal(progress[10], payload.length, 'progress reports the sent bytes')
+
+    await new Promise(resolve => setTimeout(resolve, 100))
+    t.deepEqual(receivedMeta, { name: 'receipt.pdf' }, 'meta data was received')
+    t.ok(Buffer.isBuffer(received[0]) && received[0].equals(payload), 'stream was received intact despite the lost chunk')
+  } catch (e) {
+    t.fail(`sending stream failed: ${e.message || e}`)
+  }
+
+  try {
+    const failing = new PassThrough()
+    failing.write('some data')
+    setTimeout(() => failing.emit('error', new Error('disk unplugged')), 100)
+    await sender.sendStream(failing)
+    t.fail('failing stream was sent successfully')
+  } catch (e) {
+    t.equal(e.message, 'disk unplugged', 'sending is rejected with the error of the readable')
+  }
+
+  await new Promise(resolve => setTimeout(resolve, 200))
+  t.ok(received[1] instanceof SerialIO.RemoteError && received[1].message === 'disk unplugged', 'received stream was aborted')
+
+  disconnect()
+  await sender.close()
+  await receiver.close()
+  t.end()
+})
+
+test('streams should resume from the last acknowledged chunk after a short disconnect', async (t) => {
+  const [sender, receiver] = SerialIO.createPair({}, { reconnect: { interval: 200 }, stream: { retryDelay: 50 } })
+  let received
+  receiver.on('stream', (stream) => {
+    const data = []
+    stream.on('data', (chunk) => data.push(chunk))
+    stream.on('end', () => { received = Buffer.concat(data) })
+  })
+  await Promise.all([sender.open(), receiver.open()])
+
+  // the link drops for about 200ms after the 3rd chunk
+  sender.on('streamProgress', (progress) => {
+    if (progress.chunks === 3) {
+      sender.transport.close(() => {})
+    }
+  })
+  const reconnected = new Promise(resolve => sender.once('reconnected', resolve))
+
+  const payload = Buffer.alloc(10 * 1024, 'x')
+  const readable = new PassThrough()
+  readable.end(payload)
+  try {
+    const result = await sender.sendStream(readable, null, { chunkSize: 1024, timeout: 100 })
+    t.equal(result.chunks, 10, 'all chunks were acknowledged')
+    await reconnected
+    t.pass('port was reopened in the meantime')
+    await new Promise(resolve => setTimeout(resolve, 50))
+    t.ok(received && received.equals(payload), 'stream was received intact')
+  } catch (e) {
+    t.fail(`sending stream failed: ${e.message || e}`)
+  }
+
+  await Promise.all([sender.close(), receiver.close()])
+  t.end()
+})
+
+test('retransmitted stream ends should be acknowledged after the stream has been read', async (t) => {
+  const [sender, receiver] = SerialIO.createPair({}, { stream: { retryDelay: 50 } })
+  let received
+  receiver.on('stream', (stream) => {
+    const data = []
+    stream.on('data', (chunk) => data.push(chunk))
+    // like the auto destroy of Node 14 and later
+    stream.on('end', () => {
+      received = Buffer.concat(data)
+      stream.destroy()
+    })
+  })
+  await Promise.all([sender.open(), receiver.open()])
+
+  // drop the acknowledgement of the stream end once
+  let dropAck = false
+  const handleMessage = receiver._handleMessage.bind(receiver)
+  receiver._handleMessage = (msg) => {
+    if (msg.type === SerialIO.MESSAGE_TYPE.STREAM_END && received === undefined) {
+      dropAck = true
+    }
+    handleMessage(msg)
+  }
+  const write = receiver.transport.write.bind(receiver.transport)
+  receiver.transport.write = (data, encoding, callback) => {
+    if (dropAck) {
+      dropAck = false
+      return process.nextTick(callback, null)
+    }
+    write(data, encoding, callback)
+  }
+
+  const payload = Buffer.alloc(10000, 'x')
+  const readable = new PassThrough()
+  readable.end(payload)
+  try {
+    const result = await sender.sendStream(readable, null, { chunkSize: 1024, timeout: 100 })
+    t.equal(result.bytes, payload.length, 'retransmitted end was acknowledged')
+    t.ok(received && received.equals(payload), 'stream was received intact')
+  } catch (e) {
+    t.fail(`sending stream failed: ${e.message || e}`)
+  }
+
+  await Promise.all([sender.close(), receiver.close()])
+  t.end()
+})
+
+test('aborted streams should not crash receivers without error listener', async (t) => {
+  const [sender, receiver] = SerialIO.createPair({}, { stream: { idleTimeout: 100 } })
+  const received = []
+  receiver.on('stream', (stream) => {
+    received.push(stream)
+    stream.pipe(new PassThrough())
+  })
+  await Promise.all([sender.open(), receiver.open()])
+
+  const failing = new PassThrough()
+  failing.write('some data')
+  setTimeout(() => failing.emit('error', new Error('source failed')), 50)
+  try {
+    await sender.sendStream(failing)
+    t.fail('failing stream was sent successfully')
+  } catch (e) {
+    t.equal(e.message, 'source failed', 'sending failed')
+  }
+
+  const stalled = new PassThrough()
+  stalled.write('some data')
+  sender.sendStream(stalled, null, { retries: 0, timeout: 50 }).catch(() => {})
+  await new Promise(resolve => setTimeout(resolve, 50))
+  sender.transport.dropRate = 1
+
+  await new Promise(resolve => setTimeout(resolve, 300))
+  t.ok(received[0].destroyed && received[0].error.message === 'source failed', 'stream aborted by the sender was destroyed')
+  t.ok(received[1].destroyed && received[1].error.code === 'STREAM_TIMEOUT', 'idle stream was destroyed')
+
+  sender.transport.dropRate = 0
+  await Promise.all([sender.close(), receiver.close()])
+  t.end()
+})
+
+test('notifications should be received without reply', async (t) => {
+  const sender = new SerialIO('/dev/ttyFAKE1')
+  const receiver = new SerialIO('/dev/ttyFAKE2')
+
+  await sender.open()
+  await receiver.open()
+
+  const notifications = []
+  receiver.onNotification((notification) => {
+    notifications.push(notification)
+    throw new Error('listener errors are not replied')
+  })
+  receiver.onMessage(() => t.fail('notification was passed to the message handler'))
+  let replies = 0
+  sender.on('unexpectedReply', () => replies++)
+  sender.on('reply', () => replies++)
+
+  const disconnect = connect(sender, receiver)
+
+  try {
+    t.equal(await sender.sendNotification({ drawer: 'opened' }), undefined, 'sending resolved without reply')
+    t.equal(sender._pendingRequests.size, 0, 'no reply is awaited')
+  } catch (e) {
+    t.fail(`sending notification failed: ${e.message || e}`)
+  }
+
+  await new Promise(resolve => setTimeout(resolve, 200))
+  t.deepEqual(notifications, [{ drawer: 'opened' }], 'notification was received')
+  t.equal(receiver._port.binding.recording.length, 0, 'receiver did not reply')
+  t.equal(replies, 0, 'sender did not receive a reply')
+
+  disconnect()
+  await sender.close()
+  await receiver.close()
+  t.end()
+})
+
+test('heartbeats should track latency and report link state', async (t) => {
+  const sender = new SerialIO('/dev/ttyFAKE1', { heartbeat: { enabled: true, interval: 100, maxMissed: 2 } })
+  const receiver = new SerialIO('/dev/ttyFAKE2')
+
+  // the receiver can be made deaf to simulate a broken link
+  const handleMessage = receiver._handleMessage.bind(receiver)
+  let deaf = false
+  receiver._handleMessage = (msg) => deaf || handleMessage(msg)
+  receiver.onMessage(() => t.fail('heartbeat was passed to the message handler'))
+
+  const events = []
+  sender.on('linkDown', (missed) => events.push(`linkDown ${missed}`))
+  sender.on('linkUp', () => events.push('linkUp'))
+
+  await sender.open()
+  await receiver.open()
+  const disconnect = connect(sender, receiver)
+
+  await new Promise(resolve => setTimeout(resolve, 350))
+  t.ok(sender.isLinkUp(), 'link is up')
+  t.ok(sender.latency >= 0, `latency is tracked (${sender.latency} ms)`)
+
+  deaf = true
+  await new Promise(resolve => setTimeout(resolve, 400))
+  t.notOk(sender.isLinkUp(), 'link is down after missed heartbeats')
+
+  deaf = false
+  await new Promise(resolve => setTimeout(resolve, 300))
+  t.ok(sender.isLinkUp(), 'link is up again')
+  t.deepEqual(events, ['linkDown 2', 'linkUp'], 'link state changes were emitted once')
+
+  disconnect()
+  await sender.close()
+  await receiver.close()
+  t.end()
+})
+
+test('handshake should agree on protocol version and common features', async (t) => {
+  const sender = new SerialIO('/dev/ttyFAKE1', { handshake: { enabled: true, features: ['calls', 'streams'] } })
+  const receiver = new SerialIO('/dev/ttyFAKE2')
+
+  await receiver.open()
+  sender.preparePort()
+  const disconnect = connect(sender, receiver)
+
+  try {
+    await sender.open()
+    const expected = { version: SerialIO.PROTOCOL_VERSION, features: ['calls', 'streams'] }
+    t.deepEqual(sender.capabilities, expected, 'capabilities were negotiated')
+    await new Promise(resolve => setTimeout(resolve, 100))
+    t.deepEqual(receiver.capabilities, expected, 'remote side negotiated the same capabilities')
+  } catch (e) {
+    t.fail(`shaking hands failed: ${e.message || e}`)
+  }
+
+  try {
+    await receiver.sendNotification('drawer opened')
+    t.fail('unsupported feature was used')
+  } catch (e) {
+    t.equal(e.code, 'UNSUPPORTED_FEATURE', 'features not supported by both sides are not used')
+  }
+
+  disconnect()
+  await sender.close()
+  await receiver.close()
+  t.end()
+})
+
+test('handshake should fail without common protocol version', async (t) => {
+  const sender = new SerialIO('/dev/ttyFAKE1', { handshake: true })
+  const receiver = new SerialIO('/dev/ttyFAKE2')
+  receiver._helloBody = () => ({ versions: [1, 2], features: [] })
+  const receiverErrors = []
+  receiver.on('error', (err) => receiverErrors.push(err))
+
+  await receiver.open()
+  sender.preparePort()
+  const disconnect = connect(sender, receiver)
+
+  try {
+    await sender.open()
+    t.fail('handshake with incompatible remote side succeeded')
+  } catch (e) {
+    t.ok(e instanceof SerialIO.ProtocolMismatchError, 'open() was rejected with a ProtocolMismatchError')
+    t.deepEqual(e.remoteVersions, [1, 2], 'error names the versions of the remote side')
+    t.notOk(sender.isOpen(), 'port was closed again')
+  }
+  t.equal(receiverErrors[0] && receiverErrors[0].code, 'PROTOCOL_MISMATCH', 'remote side reported the mismatch')
+
+  disconnect()
+  await receiver.close()
+
+  const lonely = new SerialIO('/dev/ttyFAKE1', { handshake: { enabled: true, timeout: 100 } })
+  try {
+    await lonely.open()
+    t.fail('handshake without remote side succeeded')
+  } catch (e) {
+    t.equal(e.code, 'HANDSHAKE_FAILED', 'open() was rejected if the remote side does not reply')
+  }
+
+  t.end()
+})
+
+test('handshake should succeed if the remote side opens its port later', async (t) => {
+  const handshake = { enabled: true, timeout: 1000, retryInterval: 100 }
+
+  // the handshake is sent again until the remote side answers it
+  const [a, b] = SerialIO.createPair({}, { handshake })
+  const opened = a.open()
+  await new Promise(resolve => setTimeout(resolve, 250))
+  await b.open()
+  try {
+    await opened
+    t.equal(a.capabilities && a.capabilities.version, SerialIO.PROTOCOL_VERSION, 'handshake was answered after retries')
+  } catch (e) {
+    t.fail(`shaking hands failed: ${e.message || e}`)
+  }
+
+  // the handshake of the remote side settles the own one as well
+  const [c, d] = SerialIO.createPair({}, { handshake: Object.assign({}, handshake, { retryInterval: 1000 }) })
+  const started = Date.now()
+  const cOpened = c.open()
+  await new Promise(resolve => setTimeout(resolve, 250))
+  try {
+    await Promise.all([cOpened, d.open()])
+    t.ok(Date.now() - started < 900, 'first side did not wait for its next retry')
+    t.deepEqual(c.capabilities, d.capabilities, 'both sides agreed on the capabilities')
+    t.ok(c.isOpen() && d.isOpen(), 'both ports are open')
+  } catch (e) {
+    t.fail(`shaking hands failed: ${e.message || e}`)
+  }
+
+  t.throws(() => new SerialIO('/dev/ttyFAKE1', { handshake: { retryInterval: 0 } }), /handshake.retryInterval/, 'invalid retry interval is rejected')
+
+  await Promise.all([a.close(), b.close(), c.close(), d.close()])
+  t.end()
+})
+
+test('failed handshakes while reconnecting should not stop reconnecting', async (t) => {
+  const [transportA, transportB] = LoopbackTransport.createPair()
+  const a = new SerialIO(transportA, { handshake: { enabled: true, timeout: 100 }, reconnect: { interval: 100 } })
+  const b = new SerialIO(transportB)
+  await b.open()
+  await a.open()
+  const attempts = []
+  a.on('reconnecting', (attempt) => attempts.push(attempt))
+
+  // the remote side is away until 400ms after the port closed
+  await b.close()
+  a.transport.close(() => {})
+  setTimeout(() => b.open(), 400)
+
+  await new Promise(resolve => {
+    a.once('reconnected', resolve)
+    setTimeout(resolve, 1500)
+  })
+  t.ok(attempts.length > 1, `handshakes failed in ${attempts.length - 1} attempts`)
+  t.ok(a.isOpen(), 'port has been reopened')
+  t.notOk(a.isReconnecting(), 'reconnecting succeeded')
+
+  await Promise.all([a.close(), b.close()])
+  t.end()
+})
+
+test('messages should be sent over socket and stream transports', async (t) => {
+  // every connection to the server is handled by its own SerialIO instance, using a stream transport
+  const serverSides = []
+  const server = net.createServer((socket) => {
+    const serverSide = new SerialIO(new SerialIO.StreamTransport(socket, 'server'), { reconnect: false })
+    serverSide.onMessage((msg) => `${msg} reply ${serverSides.length}`)
+    serverSides.push(serverSide)
+    serverSide.open()
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+  const transport = new SerialIO.SocketTransport({ host: '127.0.0.1', port: server.address().port })
+  const client = new SerialIO(transport, { reconnect: { interval: 50 } })
+  const events = []
+  client.on('close', (reason, unexpected) => events.push(`close ${unexpected}`))
+  client.on('reconnected', () => events.push('reconnected'))
+
+  try {
+    await client.open()
+    t.ok(client.isOpen(), 'socket transport was opened')
+    t.equal(await client.sendRequest('hello'), 'hello reply 1', 'request was answered over the socket')
+
+    await serverSides[0].close()
+    await new Promise(resolve => setTimeout(resolve, 200))
+    t.deepEqual(events, ['close true', 'reconnected'], 'unexpected close was detected and the socket was reconnected')
+    t.equal(await client.sendRequest('hello'), 'hello reply 2', 'request was answered after reconnecting')
+  } catch (e) {
+    t.fail(`sending over socket failed: ${e.message || e}`)
+  }
+
+  await client.close()
+  t.notOk(transport.isOpen, 'socket transport was closed')
+  await new Promise(resolve => server.close(resolve))
+
+  t.throws(() => new SerialIO(42), /TypeError/, 'invalid ports are rejected')
+  t.end()
+})
+
+test('transports with a single stream should not be reopened', async (t) => {
+  const stream = new PassThrough()
+  const serialIO = new SerialIO(new SerialIO.StreamTransport(stream), { reconnect: { interval: 50 } })
+  t.notOk(serialIO.transport, 'transport is prepared on open()')
+  let reconnecting = 0
+  serialIO.on('reconnecting', () => reconnecting++)
+  const failed = new Promise(resolve => serialIO.once('reconnectFailed', (attempts, err) => resolve(err)))
+
+  await serialIO.open()
+  t.equal(serialIO.transport.reopenable, false, 'transport reports that it can not be reopened')
+  stream.end()
+
+  const err = await failed
+  t.ok(err instanceof Error, 'reopening was given up')
+  t.equal(reconnecting, 0, 'no reopen attempt was made')
+  t.notOk(serialIO.isReconnecting(), 'not reconnecting')
+  t.ok(new SerialIO.StreamTransport(() => new PassThrough()).reopenable, 'transports creating streams can be reopened')
+  t.end()
+})
+
+test('pairs should be connected by a disturbable in-memory channel', async (t) => {
+  const [a, b] = SerialIO.createPair({ latency: 5, chunkSize: 3 }, { replyTimeout: 300 })
+  b.onMessage((msg) => `${msg} reply`)
+
+  await a.open()
+  await b.open()
+
+  try {
+    t.equal(await a.sendRequest('hello'), 'hello reply', 'request was answered in small chunks')
+
+    // corrupt the payload of the next request
+    a.transport.corruptNext(1, Utils.HEADER_SIZE + 1)
+    try {
+      await a.sendRequest('hello')
+      t.fail('corrupted request was answered')
+    } catch (e) {
+      t.equal(e.code, 'CORRUPTED_REQUEST', 'corrupted request was answered with an error reply')
+    }
+
+    // drop the start of the next request
+    a.transport.dropNext(2)
+    try {
+      await a.sendRequest('hello')
+      t.fail('incomplete request was answered')
+    } catch (e) {
+      t.equal(e.message, 'Timeout reached', 'request without start sequence timed out')
+    }
+
+    t.equal(await a.sendRequest('hello'), 'hello reply', 'parser resynced')
+  } catch (e) {
+    t.fail(`sending over loopback channel failed: ${e.message || e}`)
+  }
+
+  t.throws(() => SerialIO.createPair({ dropRate: 2 }), /options.dropRate must be a number between 0 and 1/, 'invalid channel options are rejected')
+
+  await a.close()
+  await b.close()
+  t.end()
+})
+
+test('frame encoder and decoder streams should round trip messages', async (t) => {
+  const encoder = new SerialIO.FrameEncoder()
+  const decoder = new SerialIO.FrameDecoder()
+  const garbage = []
+  const corrupted = []
+  decoder.on('garbage', (data) => garbage.push(data.toString()))
+  decoder.on('corruptedMessage', (msg) => corrupted.push(msg.id))
+
+  const messages = []
+  decoder.on('data', (msg) => messages.push([msg.type, msg.id, msg.kind, msg.data.toString()]))
+  encoder.on('data', (frame) => {
+    // feed the decoder byte by byte, to make sure frames are reassembled
+    for (let i = 0; i < frame.length; i++) {
+      decoder.write(frame.slice(i, i + 1))
+    }
+  })
+
+  encoder.write({ type: SerialIO.MESSAGE_TYPE.REQUEST, id: 1, data: 'hello' })
+  encoder.write({ type: SerialIO.MESSAGE_TYPE.REPLY, id: 1, kind: SerialIO.CONTENT_KIND.BINARY, data: Buffer.from([0xf0, 0x00, 0x00, 0x0f]) })
+  await new Promise(resolve => setImmediate(resolve))
+
+  const frame = SerialIO.createMessageBuffer(Buffer.from('corrupted'), SerialIO.MESSAGE_TYPE.REQUEST, 2)
+  frame[frame.length - 1] ^= 0xff
+  decoder.write(Buffer.concat([Buffer.from('junk'), frame]))
+  await new Promise(resolve => setImmediate(resolve))
+
+  t.deepEqual(messages, [
+    [SerialIO.MESSAGE_TYPE.REQUEST, 1, SerialIO.CONTENT_KIND.TEXT, 'hello'],
+    [SerialIO.MESSAGE_TYPE.REPLY, 1, SerialIO.CONTENT_KIND.BINARY, Buffer.from([0xf0, 0x00, 0x00, 0x0f]).toString()]
+  ], 'messages were decoded')
+  t.deepEqual(garbage, ['junk'], 'garbage was reported')
+  t.deepEqual(corrupted, [2], 'corrupted message was reported')
+
+  // a decoder nobody reads from applies backpressure
+  const unread = new SerialIO.FrameDecoder()
+  let writes = 0
+  while (unread.write(SerialIO.createMessageBuffer(Buffer.from('flood'), SerialIO.MESSAGE_TYPE.NOTIFY)) && writes < 1000) {
+    writes++
+  }
+  t.ok(writes < 1000, `decoder signalled backpressure after ${writes} messages`)
+
+  // SerialIO writes its messages through an encoder stream as well
+  const [a, b] = SerialIO.createPair()
+  b.onMessage((msg) => msg)
+  await Promise.all([a.open(), b.open()])
+  const encoded = []
+  a._encoder.on('data', (message) => encoded.push(message))
+  try {
+    t.equal(await a.sendRequest('hello'), 'hello', 'request was answered')
+    t.ok(encoded.length === 1 && encoded[0].equals(SerialIO.createMessageBuffer(Buffer.from('hello'), SerialIO.MESSAGE_TYPE.REQUEST, 1)),
+      'request was encoded by the encoder stream')
+
+    a._encoder._transform = (frame, encoding, callback) => callback(new Error('broken encoder'))
+    await a.sendRequest('lost').then(() => t.fail('request was sent by a destroyed encoder'), () => {})
+    t.equal(await a.sendRequest('again'), 'again', 'failed encoder was replaced')
+  } catch (e) {
+    t.fail(`sending request failed: ${e.message || e}`)
+  }
+
+  await Promise.all([a.close(), b.close()])
+  t.end()
+})
+
+test('oversized messages should be refused by the sender and dropped by the parser', async (t) => {
+  const parser = new DataParser({ maxPayloadSize: 10, maxBufferSize: 20 })
+  const messages = []
+  const oversized = []
+  parser.onMessage((msg) => messages.push(msg.data.toString()))
+  parser.onOversizedMessage((err) => oversized.push([err.code, err.size, err.limit]))
+
+  // a header claiming ~4GB must not swallow the following message
+  const corrupted = SerialIO.createMessageBuffer(Buffer.from('hello'), SerialIO.MESSAGE_TYPE.REQUEST, 1)
+  corrupted.writeUInt32BE(0x7fffffff, 4)
+  parser.parseData(Buffer.concat([corrupted, SerialIO.createMessageBuffer(Buffer.from('world'), SerialIO.MESSAGE_TYPE.REQUEST, 2)]))
+  t.deepEqual(messages, ['world'], 'message following the oversized header was parsed')
+  t.deepEqual(oversized, [['MESSAGE_TOO_LARGE', 0x7fffffff, 10]], 'oversized header was reported')
+
+  const unlimitedPayload = new DataParser({ maxBufferSize: 20 })
+  unlimitedPayload.onOversizedMessage((err) => oversized.push([err.code, err.limit]))
+  unlimitedPayload.parseData(SerialIO.createMessageBuffer(Buffer.from('way too long'), SerialIO.MESSAGE_TYPE.REQUEST, 3))
+  t.deepEqual(oversized[1], ['BUFFER_OVERFLOW', 20], 'buffer overflow was reported')
+
+  // large enough for error replies
+  const [a, b] = SerialIO.createPair({}, { maxPayloadSize: 250 })
+  b.onMessage(() => 'x'.repeat(300))
+  await a.open()
+  await b.open()
+
+  try {
+    await a.sendRequest('x'.repeat(300))
+    t.fail('oversized request was sent')
+  } catch (e) {
+    t.equal(e.code, 'MESSAGE_TOO_LARGE', 'oversized request was refused')
+    t.ok(/300B exceeds the max payload size of 250B/.test(e.message), 'error describes the sizes')
+  }
+
+  try {
+    await a.sendRequest('short')
+    t.fail('oversized reply was sent')
+  } catch (e) {
+    t.equal(e.code, 'MESSAGE_TOO_LARGE', 'oversized reply was replaced by an error reply')
+  }
+
+  await a.close()
+  await b.close()
+
+  // the nonce and HMAC of authenticated frames count towards the payload size
+  const [authA, authB] = SerialIO.createPair({}, { maxPayloadSize: 250, authKey: 'secret', replyTimeout: 500 })
+  authB.onMessage(() => 'ok')
+  await Promise.all([authA.open(), authB.open()])
+
+  try {
+    await authA.sendRequest('x'.repeat(220))
+    t.fail('request exceeding the limit with authentication was sent')
+  } catch (e) {
+    t.equal(e.code, 'MESSAGE_TOO_LARGE', 'request exceeding the limit with authentication was refused')
+    t.equal(e.size, 264, 'size includes the authentication overhead')
+  }
+  t.equal(await authA.sendRequest('x'.repeat(200)), 'ok', 'request within the limit with authentication was answered')
+
+  await Promise.all([authA.close(), authB.close()])
+  t.end()
+})
+
+test('payloads above the threshold should be compressed if both sides support it', async (t) => {
+  const [a, b] = SerialIO.createPair({}, { compression: { enabled: true, threshold: 100 } })
+  a.options.handshake.enabled = true
+  b.onMessage((msg) => msg)
+
+  await b.open()
+  await a.open()
+
+  const catalogue = { products: [] }
+  for (let i = 0; i < 100; i++) {
+    catalogue.products.push({ name: `Product ${i}`, price: i * 100, currency: 'EUR', taxRate: 19 })
+  }
+
+  try {
+    t.deepEqual(await a.sendRequest(catalogue), catalogue, 'compressed request and reply were decompressed')
+    t.equal(await a.sendRequest('small'), 'small', 'small payloads are sent as well')
+
+    const stats = a.compressionStats
+    t.equal(stats.sent.messages, 1, 'only the large request was compressed')
+    t.equal(stats.received.messages, 1, 'only the large reply was compressed')
+    t.ok(stats.sent.savedBytes > stats.sent.compressedBytes, `compression saved ${stats.sent.savedBytes}B`)
+    t.equal(b.compressionStats.received.originalBytes, JSON.stringify(catalogue).length, 'remote side counted the decompressed size')
+  } catch (e) {
+    t.fail(`sending compressed payload failed: ${e.message || e}`)
+  }
+
+  await a.close()
+  await b.close()
+
+  // compression is not used if the remote side doesn't support it
+  const [c, d] = SerialIO.createPair({}, { compression: true })
+  c.options.handshake.enabled = true
+  d.options.handshake.features = SerialIO.FEATURES.filter(f => f !== 'compression')
+  d.onMessage((msg) => msg)
+  await d.open()
+  await c.open()
+
+  try {
+    t.deepEqual(await c.sendRequest(catalogue), catalogue, 'request was answered')
+    t.equal(c.compressionStats.sent.messages + d.compressionStats.sent.messages, 0, 'nothing was compressed')
+  } catch (e) {
+    t.fail(`sending uncompressed payload failed: ${e.message || e}`)
+  }
+
+  await c.close()
+  await d.close()
+
+  // compression is neither used before it has been agreed on, nor for the handshake itself
+  const [g, h] = SerialIO.createPair({}, { compression: { enabled: true, threshold: 0 } })
+  h.onMessage((msg) => msg)
+  const helloFlags = []
+  for (const side of [g, h]) {
+    const handleMessage = side._handleMessage.bind(side)
+    side._handleMessage = (msg, data) => {
+      if (msg.type === SerialIO.MESSAGE_TYPE.HELLO || msg.type === SerialIO.MESSAGE_TYPE.REPLY) {
+        helloFlags.push(msg.flags)
+      }
+      return handleMessage(msg, data)
+    }
+  }
+  await Promise.all([g.open(), h.open()])
+
+  try {
+    t.deepEqual(await g.sendRequest(catalogue), catalogue, 'request without handshake was answered')
+    t.equal(g.compressionStats.sent.messages + h.compressionStats.sent.messages, 0, 'nothing was compressed without handshake')
+
+    helloFlags.length = 0
+    await g._handshake()
+    t.deepEqual(helloFlags, [0, 0], 'handshake and its reply were not compressed')
+    t.deepEqual(await g.sendRequest(catalogue), catalogue, 'request after handshake was answered')
+    t.equal(g.compressionStats.sent.messages, 1, 'compression was used once agreed on')
+  } catch (e) {
+    t.fail(`sending payload failed: ${e.message || e}`)
+  }
+
+  await Promise.all([g.close(), h.close()])
+
+  // decompressing stops once the limit is exceeded, and later messages wait for decompressed ones
+  const [e, f] = SerialIO.createPair({}, { maxPayloadSize: 64 * 1024 })
+  const received = []
+  const errors = []
+  f.onNotification((notification) => received.push(notification))
+  f.on('parseError', (err) => errors.push(err))
+  await Promise.all([e.open(), f.open()])
+
+  const { TEXT } = SerialIO.CONTENT_KIND
+  const { COMPRESSED } = SerialIO.FRAME_FLAG
+  const bomb = zlib.deflateRawSync(Buffer.alloc(16 * 1024 * 1024, ' '))
+  const compressed = zlib.deflateRawSync(Buffer.from('"compressed"'))
+  e.transport.write(Buffer.concat([
+    SerialIO.createMessageBuffer(bomb, SerialIO.MESSAGE_TYPE.NOTIFY, 0, TEXT, COMPRESSED),
+    SerialIO.createMessageBuffer(compressed, SerialIO.MESSAGE_TYPE.NOTIFY, 0, TEXT, COMPRESSED),
+    SerialIO.createMessageBuffer(Buffer.from('"plain"'), SerialIO.MESSAGE_TYPE.NOTIFY)
+  ]), undefined, () => {})
+  await new Promise(resolve => setTimeout(resolve, 200))
+
+  t.equal(errors[0] && errors[0].code, 'MESSAGE_TOO_LARGE', 'deflate bomb was dropped')
+  t.ok(errors[0] && errors[0].size < 128 * 1024, `decompressing stopped after ${errors[0] && errors[0].size}B`)
+  t.deepEqual(received, ['compressed', 'plain'], 'messages were handled in order')
+
+  await Promise.all([e.close(), f.close()])
+  t.end()
+})
+
+test('frames failing authentication should be dropped before reaching any handler', async (t) => {
+  const [a, b] = SerialIO.createPair({}, { authKey: 'pre-shared secret' })
+  const notifications = []
+  const securityErrors = []
+  b.onMessage((msg) => msg)
+  b.onNotification((notification) => notifications.push(notification))
+  b.on('securityError', (err) => securityErrors.push(err.code))
+
+  await a.open()
+  await b.open()
+
+  const sent = []
+  const write = a.transport.write.bind(a.transport)
+  a.transport.write = (data, encoding, callback) => {
+    sent.push(Buffer.from(data))
+    write(data, encoding, callback)
+  }
+  const inject = (buf) => write(buf, undefined, () => {})
+
+  try {
+    t.equal(await a.sendRequest('authentic'), 'authentic', 'authenticated request was answered')
+    await a.sendNotification('once')
+  } catch (e) {
+    t.fail(`sending authenticated messages failed: ${e.message || e}`)
+  }
+  t.ok(sent[0][13] & SerialIO.FRAME_FLAG.AUTHENTICATED, 'frames are flagged as authenticated')
+
+  const { NOTIFY } = SerialIO.MESSAGE_TYPE
+  inject(SerialIO.createMessageBuffer(Buffer.from('"unauthenticated"'), NOTIFY))
+  inject(SerialIO.createMessageBuffer(Buffer.from('"forged"'), NOTIFY, 0, 0, 0, new Authenticator('wrong key')))
+  inject(sent[sent.length - 1])
+  await new Promise(resolve => setTimeout(resolve, 100))
+
+  t.deepEqual(notifications, ['once'], 'only the authentic notification was handled')
+  t.deepEqual(securityErrors, ['UNAUTHENTICATED', 'INVALID_MAC', 'REPLAYED_FRAME'], 'dropped frames were reported')
+
+  // a frame reflected back to its sender carries the sender's own id
+  const reflectedErrors = []
+  const ownNotifications = []
+  a.on('securityError', (err) => reflectedErrors.push(err.code))
+  a.onNotification((notification) => ownNotifications.push(notification))
+  b.transport.write(sent[sent.length - 1], undefined, () => {})
+  await new Promise(resolve => setTimeout(resolve, 100))
+  t.deepEqual(reflectedErrors, ['REFLECTED_FRAME'], 'reflected frame was reported')
+  t.deepEqual(ownNotifications, [], 'reflected frame was not handled')
+
+  await a.close()
+  await b.close()
+
+  // a restarted receiver doesn't know the last nonce, but drops frames sent outside of the window
+  const [c, d] = SerialIO.createPair({}, { authKey: 'pre-shared secret', authWindow: 100 })
+  const restartedErrors = []
+  d.onNotification((notification) => notifications.push(notification))
+  d.on('securityError', (err) => restartedErrors.push(err.code))
+  await Promise.all([c.open(), d.open()])
+
+  await new Promise(resolve => setTimeout(resolve, 100))
+  c.transport.write(sent[sent.length - 1], undefined, () => {})
+  await new Promise(resolve => setTimeout(resolve, 50))
+  t.deepEqual(restartedErrors, ['STALE_FRAME'], 'recorded frame was not replayed after a restart')
+  t.deepEqual(notifications, ['once'], 'recorded frame was not handled')
+  t.throws(() => new SerialIO('/dev/ttyFAKE1', { authWindow: -1 }), /TypeError/, 'invalid windows are rejected')
+
+  // without window, frames of a sender whose clock is an hour ahead are accepted
+  const [e, f] = SerialIO.createPair({}, { authKey: 'pre-shared secret' })
+  const skewed = []
+  f.onNotification((notification) => skewed.push(notification))
+  await Promise.all([e.open(), f.open()])
+  e._authenticator._lastSentNonce = (Date.now() + 3600 * 1000) * 1000
+  await e.sendNotification('from the future')
+  await new Promise(resolve => setTimeout(resolve, 50))
+  t.deepEqual(skewed, ['from the future'], 'window is opt-in')
+
+  await Promise.all([c.close(), d.close(), e.close(), f.close()])
+  t.end()
+})
+
+test('statistics should count traffic, failures and round trip times', async (t) => {
+  const [a, b] = SerialIO.createPair()
+  b.onMessage(async (msg) => {
+    if (msg === 'slow') {
+      await new Promise(resolve => setTimeout(resolve, 150))
+    } else if (msg === 'fail') {
+      throw new Error('failed')
+    }
+    return msg
+  })
+
+  await a.open()
+  await b.open()
+
+  try {
+    t.deepEqual(await a.sendRequest({ ok: true }), { ok: true }, 'request was answered')
+    await a.sendRequest('fail').then(() => t.fail('error reply resolved'), () => {})
+    await a.sendRequest('slow', { timeout: 50 }).then(() => t.fail('slow reply resolved'), () => {})
+  } catch (e) {
+    t.fail(`sending requests failed: ${e.message || e}`)
+  }
+  b.transport.write(Buffer.from('garbage'), undefined, () => {})
+  b.transport.write(SerialIO.createMessageBuffer(Buffer.from('"ok"'), SerialIO.MESSAGE_TYPE.REQUEST), undefined, () => {})
+  await new Promise(resolve => setTimeout(resolve, 200))
+
+  const stats = a.getStats()
+  t.equal(stats.sent.frames, 4, 'sent frames were counted, including the error reply to the injected request')
+  t.equal(stats.received.frames, 4, 'received frames were counted')
+  t.ok(stats.received.bytes > b.getStats().sent.bytes + 7, 'received bytes include garbage and the injected request')
+  t.equal(stats.droppedBytes, 7, 'garbage was counted')
+  t.equal(stats.timeouts, 1, 'timeout was counted')
+  t.equal(stats.errorReplies, 1, 'error reply was counted')
+  t.equal(stats.unexpectedReplies, 1, 'late reply was counted as unexpected')
+  t.equal(stats.jsonParseErrors, 0, 'plain text payload of the late reply was not counted as JSON error')
+  t.equal(stats.rtt.count, 2, 'round trips of answered requests were observed')
+  t.equal(stats.rtt.buckets[stats.rtt.buckets.length - 1].count, 2, 'last bucket is cumulative')
+
+  const metrics = SerialIO.Stats.toPrometheus(a.getStats({ reset: true }), { labels: { port: 'a' } })
+  t.ok(metrics.includes('serialio_frames_total{port="a",direction="sent"} 4\n'), 'counters were exported')
+  t.ok(metrics.includes('serialio_rtt_milliseconds_bucket{port="a",le="+Inf"} 2\n'), 'histogram was exported')
+  t.equal(a.getStats().sent.frames, 0, 'statistics were reset')
+
+  await a.close()
+  await b.close()
+  t.end()
+})
+
+test('captured traffic should be replayed through the parser and a SerialIO instance', async (t) => {
+  const file = path.join(os.tmpdir(), `serialio-capture-${process.pid}.jsonl`)
+  const [a, b] = SerialIO.createPair({ chunkSize: 7 })
+  b.onMessage((msg) => msg)
+
+  await a.open()
+  await b.open()
+  await b.startCapture(file)
+
+  try {
+    await a.sendRequest({ order: 1 })
+    await a.sendNotification('x'.repeat(300))
+  } catch (e) {
+    t.fail(`sending messages failed: ${e.message || e}`)
+  }
+  await new Promise(resolve => setTimeout(resolve, 100))
+  await b.stopCapture()
+  await a.close()
+  await b.close()
+
+  const entries = await SerialIO.Capture.load(file)
+  fs.unlinkSync(file)
+  t.ok(entries.filter(e => e.direction === 'in').length > 2, 'inbound chunks were recorded as received')
+  t.ok(entries.some(e => e.direction === 'out'), 'outbound reply was recorded')
+  t.ok(entries.every((e, i) => i === 0 || e.time >= entries[i - 1].time), 'entries are in order')
+
+  const parser = new DataParser()
+  const parsed = []
+  parser.onMessage((msg) => parsed.push(msg.data.toString()))
+  const replayed = await SerialIO.Capture.replay(entries, (data) => parser.parseData(data), { realtime: false })
+  t.equal(replayed, entries.filter(e => e.direction === 'in').length, 'all inbound chunks were replayed')
+  t.deepEqual(parsed, [JSON.stringify({ order: 1 }), 'x'.repeat(300)], 'parser received the original messages')
+
+  const replay = new SerialIO.ReplayTransport(entries, { realtime: true, speed: 10 })
+  const c = new SerialIO(replay)
+  const messages = []
+  c.onMessage((msg) => messages.push(msg))
+  c.onNotification((notification) => messages.push(notification))
+  const ended = new Promise(resolve => replay.once('replayEnd', resolve))
+  await c.open()
+  await ended
+  await new Promise(resolve => setTimeout(resolve, 50))
+
+  t.deepEqual(messages, [{ order: 1 }, 'x'.repeat(300)], 'handlers received the original messages')
+  t.equal(replay.written.length, 1, 'reply to the replayed request was written')
+  t.throws(() => SerialIO.Capture.parse('{"t": 1}'), /Line 1 is not a capture entry/, 'invalid captures are refused')
+
+  await c.close()
+  t.equal(replay.reopenable, false, 'replays are not reopened')
+
+  const failingReplay = new SerialIO.ReplayTransport(entries, { realtime: false })
+  const replayErrors = []
+  failingReplay.on('data', () => { throw new Error('handler failed') })
+  failingReplay.on('error', (err) => replayErrors.push(err.message))
+  await new Promise((resolve, reject) => failingReplay.open(err => err ? reject(err) : resolve()))
+  await new Promise(resolve => setTimeout(resolve, 50))
+  t.deepEqual(replayErrors, ['handler failed'], 'failing replay was reported')
+  await new Promise(resolve => failingReplay.close(resolve))
+
+  try {
+    await c.startCapture(path.join(os.tmpdir(), `serialio-missing-${process.pid}`, 'capture.jsonl'))
+    t.fail('capture to a missing directory was started')
+  } catch (e) {
+    t.equal(e.code, 'ENOENT', 'starting a capture that can not be written was rejected')
+  }
+
+  const errors = []
+  c.on('error', (err) => errors.push(err))
+  const failing = new PassThrough()
+  await c.startCapture(failing)
+  failing.emit('error', new Error('disk full'))
+  c._capture.record('in', Buffer.from('lost'))
+  t.deepEqual(errors.map(err => err.message), ['disk full'], 'failing capture was reported')
+  await c.stopCapture()
+  t.end()
+})
+
+test('command line tool should send requests and decode captures', async (t) => {
+  const output = { stdout: '', stderr: '' }
+  const cli = new Cli({
+    stdout: { write: (text) => { output.stdout += text } },
+    stderr: { write: (text) => { output.stderr += text } }
+  })
+
+  const file = path.join(os.tmpdir(), `serialio-cli-${process.pid}.jsonl`)
+  const capture = await SerialIO.Capture.toFile(file)
+  const request = SerialIO.createMessageBuffer(Buffer.from(JSON.stringify({ order: 1 })), SerialIO.MESSAGE_TYPE.REQUEST, 7)
+  capture.record('in', Buffer.concat([Buffer.from('noise'), request.slice(0, 10)]))
+  capture.record('in', request.slice(10))
+  capture.record('out', SerialIO.createMessageBuffer(Buffer.from([1, 2]), SerialIO.MESSAGE_TYPE.REPLY, 7, SerialIO.CONTENT_KIND.BINARY))
+  await capture.close()
+
+  t.equal(await cli.run(['monitor', '--capture', file]), 0, 'monitor succeeded')
+  fs.unlinkSync(file)
+  const lines = output.stdout.split('\n').map(line => line.replace(/^\S+ /, ''))
+  t.deepEqual(lines, [
+    'in  garbage 5b 6e6f697365',
+    'in  REQUEST id=0x7 11b TEXT',
+    '{',
+    '  "order": 1',
+    '}',
+    'out REPLY id=0x7 2b BINARY',
+    '0102',
+    ''
+  ], 'frames were decoded with direction, type, id, length and body')
+
+  t.equal(await cli.run(['request', '/dev/ttyFAKE1', 'ping', '--timeout', '100']), 1, 'request without reply failed')
+  t.ok(output.stderr.includes('Timeout reached'), 'timeout was printed')
+  t.equal(await cli.run(['listen', '/dev/ttyFAKE1']), 2, 'listen without reply or handler is invalid usage')
+  t.ok(output.stderr.includes('Usage: serialio <command>'), 'usage was printed')
+  t.equal(cli.stop(), false, 'nothing is stopped without a running listen or monitor command')
+  const listening = cli.run(['listen', '/dev/ttyFAKE1', '--reply', 'pong'])
+  await new Promise(resolve => setTimeout(resolve, 50))
+  t.equal(cli.stop(), true, 'listen command was stopped')
+  t.equal(await listening, 0, 'stopped listen command succeeded')
+  t.equal(cli.stop(), false, 'stopped command is not stopped again')
+  t.deepEqual(Cli.parseArgs(['request', 'port', '--baud-rate', '115200', '--realtime']),
+    { args: ['request', 'port'], options: { baudRate: '115200', realtime: true } }, 'options were parsed')
+  t.end()
+})
+
+test('bodies should be encoded with the chosen codec and decoded with the codec of their content kind', async (t) => {
+  SerialIO.Codecs.register({
+    name: 'csv',
+    kind: 0x20,
+    encode: (rows) => Buffer.from(rows.map(row => row.join(',')).join('\n')),
+    decode: (data) => data.toString().split('\n').map(line => line.split(','))
+  })
+  t.throws(() => SerialIO.Codecs.register({ name: 'other', kind: 0x20, encode: () => {}, decode: () => {} }),
+    /registered already/, 'content kinds are unique')
+  t.throws(() => new SerialIO('/dev/ttyFAKE1', { codec: 'yaml' }), /options.codec must be the name of a registered codec/,
+    'unknown codecs are refused')
+
+  const [a, b] = LoopbackTransport.createPair()
+  const [json, csv] = [new SerialIO(a, { codec: 'json' }), new SerialIO(b, { codec: 'csv' })]
+  const received = []
+  csv.onMessage((msg) => {
+    received.push(msg)
+    return [['ok', String(received.length)]]
+  })
+
+  await json.open()
+  await csv.open()
+
+  try {
+    t.deepEqual(await json.sendRequest('123'), [['ok', '1']], 'csv reply was decoded')
+    await json.sendRequest({ total: 123 })
+    t.deepEqual(received, ['123', { total: 123 }], 'json string stayed a string')
+
+    await json.sendRequest(['not', 'csv'], { codec: 'string' }).then(() => t.fail('array was encoded as string'),
+      (e) => t.equal(e.code, 'ENCODING_FAILED', 'body the codec can\'t encode was refused'))
+
+    a.write(SerialIO.createMessageBuffer(Buffer.from('?'), SerialIO.MESSAGE_TYPE.REQUEST, 99, 0x3e), undefined, () => {})
+    const errorReply = await new Promise(resolve => json.on('unexpectedReply', (id, reply) => resolve(reply)))
+    t.equal(errorReply.code, 'UNKNOWN_CODEC', 'request of unknown content kind got an error reply')
+
+    a.write(SerialIO.createMessageBuffer(Buffer.from('{broken'), SerialIO.MESSAGE_TYPE.REQUEST, 98, SerialIO.CONTENT_KIND.JSON),
+      undefined, () => {})
+    const decodingErrorReply = await new Promise(resolve => json.once('unexpectedReply', (id, reply) => resolve(reply)))
+    t.equal(decodingErrorReply.code, 'DECODING_FAILED', 'malformed JSON payload got an error reply')
+    t.equal(csv.getStats().jsonParseErrors, 1, 'malformed JSON payload was counted')
+  } catch (e) {
+    t.fail(`sending with codecs failed: ${e.message || e}`)
+  }
+
+  await json.close()
+  await csv.close()
+  t.end()
+})
+
+test('extended JSON should preserve Dates, Buffers, BigInts, Maps, Sets and custom types', async (t) => {
+  class Money {
+    constructor (cents, currency) {
+      this.cents = cents
+      this.currency = currency
+    }
+  }
+  SerialIO.ExtendedJson.registerType('Money', {
+    test: (value) => value instanceof Money,
+    serialize: (money) => ({ cents: money.cents, currency: money.currency }),
+    deserialize: ({ cents, currency }) => new Money(cents, currency)
+  })
+  t.throws(() => SerialIO.ExtendedJson.registerType('Date', { test () {}, serialize () {}, deserialize () {} }),
+    /not registered already/, 'built-in type names are taken')
+
+  const receipt = {
+    createdAt: new Date('2026-10-18T12:00:00.000Z'),
+    total: new Money(global.BigInt('90071992547409930'), 'EUR'),
+    signature: Buffer.from([0xf0, 0x00, 0x0f]),
+    taxes: new Map([[19, new Set(['food', 'drinks'])]]),
+    meta: { $type: 'Date', value: 'not a tagged value' }
+  }
+
+  const [a, b] = SerialIO.createPair({}, { codec: 'extended-json' })
+  let received
+  b.onMessage((msg) => {
+    received = msg
+    return msg.createdAt
+  })
+
+  await a.open()
+  await b.open()
+
+  try {
+    const reply = await a.sendRequest(receipt)
+    t.ok(reply instanceof Date && reply.getTime() === receipt.createdAt.getTime(), 'Date reply was revived')
+    t.deepEqual(received, receipt, 'all values were revived')
+    t.ok(received.total instanceof Money && Object.prototype.toString.call(received.total.cents) === '[object BigInt]', 'custom type and BigInt were revived')
+    t.ok(received.taxes.get(19).has('drinks'), 'Map and Set were revived')
+  } catch (e) {
+    t.fail(`sending extended JSON failed: ${e.message || e}`)
+  }
+
+  const circular = {}
+  circular.self = circular
+  await a.sendRequest(circular).then(() => t.fail('circular structure was sent'),
+    (e) => t.equal(e.code, 'ENCODING_FAILED', 'circular structure was refused'))
+  t.equal(SerialIO.ExtendedJson.stringify({ n: NaN, f () {} }), '{"n":null}', 'other values are encoded like JSON does')
+
+  await a.close()
+  await b.close()
+  t.end()
+})